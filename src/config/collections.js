@@ -0,0 +1,134 @@
+import { getCollectionId } from '../utils/firestorePaths.js';
+
+/**
+ * Collection-level configuration
+ */
+
+/**
+ * Collections used internally by the admin backend
+ * They are hidden from the generic Firestore routes and MCP tools.
+ */
+export const RESERVED_COLLECTIONS = {
+  apiKeys: '_api_keys',
+  trash: '_trash',
+  versions: '_versions',
+  schemas: '_schemas'
+};
+
+/**
+ * Check whether a collection path points into a reserved collection
+ */
+export function isReservedCollection(collectionPath) {
+  const rootCollection = String(collectionPath).split('/')[0];
+  return Object.values(RESERVED_COLLECTIONS).includes(rootCollection);
+}
+
+/**
+ * Per-collection access policies, keyed by collection ID and then by role
+ *
+ * Each role entry may deny `read`, `write` or `delete` and list fields to `hide`
+ * (removed from responses) or `mask` (partially obscured). Field names may use
+ * dot paths for nested maps. Actions that are not listed are allowed.
+ * `default` applies to roles without an entry and to API keys. Owners are never restricted.
+ * Policies apply to nested collections with the same ID as well.
+ */
+export const COLLECTION_POLICIES = {
+  users: {
+    viewer: { write: false, delete: false, mask: ['email', 'phoneNumber'] },
+    editor: { delete: false, mask: ['email', 'phoneNumber'] },
+    admin: {},
+    default: { write: false, delete: false, hide: ['email', 'phoneNumber'] }
+  },
+  messages: {
+    viewer: { write: false, delete: false, hide: ['text'] },
+    editor: { write: false, delete: false, mask: ['text'] },
+    admin: {},
+    default: { read: false, write: false, delete: false }
+  }
+};
+
+/**
+ * Collections whose deleted documents are moved to the trash, by collection ID
+ * Trashed documents can be restored until they are purged, which happens
+ * automatically after TRASH_RETENTION_DAYS. Applies to nested collections with the same ID as well.
+ */
+export const SOFT_DELETE_COLLECTIONS = ['users'];
+
+/**
+ * Check whether deletes in a collection go to the trash
+ */
+export function isSoftDeleteCollection(collectionPath) {
+  return SOFT_DELETE_COLLECTIONS.includes(getCollectionId(collectionPath));
+}
+
+/**
+ * Collections whose writes are recorded as versions, by collection ID
+ * Applies to nested collections with the same ID as well.
+ */
+export const VERSIONED_COLLECTIONS = ['places', 'events'];
+
+/**
+ * Check whether writes to a collection are recorded as versions
+ */
+export function isVersionedCollection(collectionPath) {
+  return VERSIONED_COLLECTIONS.includes(getCollectionId(collectionPath));
+}
+
+/**
+ * Collections that can never be deleted recursively, by collection ID
+ * Covers the collection itself and every document subtree in it; reserved collections are always protected.
+ */
+export const PROTECTED_COLLECTIONS = ['users'];
+
+/**
+ * Check whether a collection or document path lies in a protected collection
+ */
+export function isProtectedPath(path) {
+  return isReservedCollection(path) || PROTECTED_COLLECTIONS.includes(getCollectionId(path));
+}
+
+/**
+ * Collections with a full-text search index, by collection ID
+ * `fields` maps the searchable text fields (dot paths, strings or arrays of strings) to
+ * their ranking weight; `filters` lists the fields searches may filter on by value.
+ * The index covers nested collections with the same ID as well.
+ */
+export const SEARCH_INDEXES = {
+  users: {
+    fields: { displayName: 3, email: 1 },
+    filters: ['role', 'disabled']
+  },
+  places: {
+    fields: { name: 3, tags: 2, description: 1 },
+    filters: ['category', 'address.city']
+  }
+};
+
+/**
+ * Get the search index configuration of a collection, or null if it is not searchable
+ */
+export function getSearchIndexConfig(collectionPath) {
+  const collectionId = getCollectionId(collectionPath);
+  return Object.hasOwn(SEARCH_INDEXES, collectionId) ? SEARCH_INDEXES[collectionId] : null;
+}
+
+/**
+ * Collections with a geospatial index, by collection ID
+ * Writes through the API store the geohash of the GeoPoint in `field` (a dot path) in the
+ * top-level `geohashField`; documents written before are indexed by the backfill job.
+ * Applies to nested collections with the same ID as well.
+ */
+export const GEO_INDEXES = {
+  places: { field: 'location', geohashField: 'geohash' },
+  events: { field: 'location', geohashField: 'geohash' }
+};
+
+/**
+ * Get the geo index configuration of a collection, or null if it has none
+ */
+export function getGeoIndexConfig(collectionPath) {
+  const collectionId = getCollectionId(collectionPath);
+  return Object.hasOwn(GEO_INDEXES, collectionId) ? GEO_INDEXES[collectionId] : null;
+}
+
+export default RESERVED_COLLECTIONS;
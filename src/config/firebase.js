@@ -172,14 +172,13 @@ export async function testFirebaseConnection() {
  */
 export async function getProjectInfo() {
   try {
-    const auth = getAuthInstance();
     const app = getApp();
     
     return {
       projectId: app.options.projectId,
       storageBucket: app.options.storageBucket,
       // Note: We can't easily get user count without additional permissions
-      // userCount: await auth.listUsers().then(result => result.users.length),
+      // userCount: await getAuthInstance().listUsers().then(result => result.users.length),
       initialized: true,
       timestamp: new Date().toISOString()
     };
@@ -0,0 +1,123 @@
+/**
+ * Role-based access control configuration
+ *
+ * Roles are read from the `role` custom claim set via
+ * POST /auth/users/:uid/custom-claims, e.g. { "role": "editor" }.
+ * API keys are granted a list of scopes instead, taken from PERMISSIONS.
+ */
+
+/**
+ * All permissions known to the API
+ */
+export const PERMISSIONS = [
+  'firestore:read',
+  'firestore:write',
+  'firestore:delete',
+  'storage:read',
+  'storage:write',
+  'storage:delete',
+  'auth:read',
+  'auth:write',
+  'auth:delete',
+  'auth:admin',
+  'admin:access',
+  'mcp:access'
+];
+
+/**
+ * Roles in ascending order of privilege
+ */
+export const ROLES = ['viewer', 'editor', 'admin', 'owner'];
+
+const VIEWER_PERMISSIONS = [
+  'firestore:read',
+  'storage:read',
+  'auth:read'
+];
+
+const EDITOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'firestore:write',
+  'storage:write',
+  'auth:write'
+];
+
+const ADMIN_PERMISSIONS = [
+  ...EDITOR_PERMISSIONS,
+  'firestore:delete',
+  'storage:delete',
+  'auth:delete',
+  'admin:access',
+  'mcp:access'
+];
+
+/**
+ * Permissions granted to each role
+ * Only owners can change custom claims or mint tokens, so admins cannot promote themselves.
+ */
+export const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  editor: EDITOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+  owner: PERMISSIONS
+};
+
+/**
+ * Permission required by each route, per router
+ * Rules are matched in order against the method and the path relative to the router mount.
+ * `*` matches any method or any remaining path, `:param` matches one path segment.
+ */
+export const ROUTE_PERMISSIONS = {
+  firestore: [
+    { method: 'POST', path: '/collections/:collectionPath(*)/query', permission: 'firestore:read' },
+    { method: 'POST', path: '/collections/:collectionPath(*)/aggregate', permission: 'firestore:read' },
+    { method: 'POST', path: '/collection-groups/:collectionId/query', permission: 'firestore:read' },
+    { method: 'POST', path: '/batch-get', permission: 'firestore:read' },
+    { method: 'POST', path: '/recursive-delete', permission: 'firestore:delete' },
+    { method: 'PUT', path: '/schemas/:collectionId', permission: 'admin:access' },
+    { method: 'DELETE', path: '/schemas/:collectionId', permission: 'admin:access' },
+    { method: 'GET', path: '*', permission: 'firestore:read' },
+    { method: 'DELETE', path: '*', permission: 'firestore:delete' },
+    { method: '*', path: '*', permission: 'firestore:write' }
+  ],
+  storage: [
+    { method: 'GET', path: '*', permission: 'storage:read' },
+    { method: 'DELETE', path: '*', permission: 'storage:delete' },
+    { method: '*', path: '*', permission: 'storage:write' }
+  ],
+  auth: [
+    { method: 'POST', path: '/verify-token', permission: 'auth:read' },
+    { method: 'POST', path: '/users/:uid/custom-claims', permission: 'auth:admin' },
+    { method: 'POST', path: '/generate-token', permission: 'auth:admin' },
+    { method: '*', path: '/api-keys/*', permission: 'auth:admin' },
+    { method: 'GET', path: '*', permission: 'auth:read' },
+    { method: 'DELETE', path: '*', permission: 'auth:delete' },
+    { method: '*', path: '*', permission: 'auth:write' }
+  ],
+  admin: [
+    { method: '*', path: '*', permission: 'admin:access' }
+  ],
+  mcp: [
+    { method: '*', path: '*', permission: 'mcp:access' }
+  ]
+};
+
+/**
+ * Additional permission required by each MCP tool on top of mcp:access
+ */
+export const TOOL_PERMISSIONS = {
+  firestore_list_collections: 'firestore:read',
+  firestore_add_document: 'firestore:write',
+  firestore_get_document: 'firestore:read',
+  firestore_update_document: 'firestore:write',
+  firestore_delete_document: 'firestore:delete',
+  firestore_query_collection: 'firestore:read',
+  firestore_search: 'firestore:read',
+  storage_list_files: 'storage:read',
+  storage_get_file_info: 'storage:read',
+  storage_upload_file: 'storage:write',
+  auth_get_user: 'auth:read',
+  auth_list_users: 'auth:read'
+};
+
+export default ROUTE_PERMISSIONS;
@@ -0,0 +1,111 @@
+import { getAuthInstance } from '../config/firebase.js';
+import { verifyApiKey } from '../services/apiKeys.js';
+import { authLogger } from '../utils/logger.js';
+import { createError } from './errorHandler.js';
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token.trim();
+}
+
+/**
+ * Verify a Firebase ID token and return the decoded token
+ * Shared by the authentication middleware and POST /auth/verify-token
+ */
+export async function verifyIdToken(idToken) {
+  const auth = getAuthInstance();
+  return auth.verifyIdToken(idToken, process.env.AUTH_CHECK_REVOKED === 'true');
+}
+
+/**
+ * Authentication middleware
+ * Requires a valid Firebase ID token or X-API-Key header and attaches the caller to req.user
+ */
+export async function authenticate(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
+  const idToken = getBearerToken(req);
+
+  if (!idToken) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(createError('Authentication required', 401, 'auth-required'));
+  }
+
+  try {
+    req.user = await verifyIdToken(idToken);
+    next();
+  } catch (error) {
+    authLogger.warn('Rejected request with invalid ID token', {
+      method: req.method,
+      url: req.originalUrl,
+      reason: error.code || error.message
+    });
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    next(createError('Invalid or expired token', 401, 'invalid-token', error.message));
+  }
+}
+
+/**
+ * Authenticate a service-to-service caller by API key
+ */
+async function authenticateApiKey(apiKey, req, res, next) {
+  try {
+    const keyUser = await verifyApiKey(apiKey);
+
+    if (!keyUser) {
+      authLogger.warn('Rejected request with invalid API key', {
+        method: req.method,
+        url: req.originalUrl
+      });
+      return next(createError('Invalid, expired or revoked API key', 401, 'invalid-api-key'));
+    }
+
+    req.user = keyUser;
+    next();
+  } catch (error) {
+    next(createError('Failed to verify API key', 500, 'api-key-verification-error', error.message));
+  }
+}
+
+/**
+ * Socket.io authentication middleware
+ * Accepts `auth.token` (Firebase ID token) or `auth.apiKey` in the handshake
+ */
+export async function authenticateSocket(socket, next) {
+  const { token, apiKey } = socket.handshake.auth || {};
+
+  try {
+    if (apiKey) {
+      socket.data.user = await verifyApiKey(apiKey);
+    } else if (token) {
+      socket.data.user = await verifyIdToken(token);
+    }
+  } catch (error) {
+    authLogger.warn(`Rejected socket ${socket.id} with invalid credentials`, { reason: error.code || error.message });
+  }
+
+  if (!socket.data.user) {
+    const error = new Error('Authentication required');
+    error.data = { code: 'auth-required' };
+    return next(error);
+  }
+
+  next();
+}
+
+export default authenticate;
@@ -0,0 +1,104 @@
+import { ROLE_PERMISSIONS, ROUTE_PERMISSIONS } from '../config/permissions.js';
+import { authLogger } from '../utils/logger.js';
+import { createError } from './errorHandler.js';
+
+/**
+ * Compile a route pattern such as `/collections/:collectionPath(*)/query` into a RegExp
+ * `:param` matches one segment, `:param(*)` one or more.
+ */
+function compilePattern(path) {
+  if (path === '*') {
+    return /^.*$/;
+  }
+
+  // A trailing /* also matches the path without it
+  const wildcardSuffix = path.endsWith('/*');
+  const source = (wildcardSuffix ? path.slice(0, -2) : path)
+    .split('/')
+    .map(segment => {
+      if (segment === '*') return '.*';
+      if (segment.startsWith(':')) return segment.endsWith('(*)') ? '.+' : '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return new RegExp(`^${source}${wildcardSuffix ? '(?:/.*)?' : ''}/?$`);
+}
+
+const compiledRules = Object.fromEntries(
+  Object.entries(ROUTE_PERMISSIONS).map(([routerName, rules]) => [
+    routerName,
+    rules.map(rule => ({ ...rule, pattern: compilePattern(rule.path) }))
+  ])
+);
+
+/**
+ * Get the permissions granted to an authenticated user
+ * API keys carry their scopes directly; ID tokens get the permissions of their role claim.
+ */
+export function getUserPermissions(user) {
+  if (!user) {
+    return [];
+  }
+  if (user.authType === 'api-key') {
+    return user.scopes || [];
+  }
+  return ROLE_PERMISSIONS[user.role] || [];
+}
+
+/**
+ * Check whether a user holds a permission
+ */
+export function hasPermission(user, permission) {
+  return getUserPermissions(user).includes(permission);
+}
+
+/**
+ * Throw a 403 error unless the request's user holds a permission
+ */
+export function requirePermission(req, permission) {
+  if (!hasPermission(req.user, permission)) {
+    authLogger.warn(`Permission denied: ${permission}`, {
+      userId: req.user?.uid,
+      role: req.user?.role || null,
+      method: req.method,
+      url: req.originalUrl
+    });
+    throw createError(`Missing permission: ${permission}`, 403, 'permission-denied', {
+      permission,
+      role: req.user?.role || null
+    });
+  }
+}
+
+/**
+ * Authorization middleware for a router registered in ROUTE_PERMISSIONS
+ */
+export function authorize(routerName) {
+  const rules = compiledRules[routerName];
+  if (!rules) {
+    throw new Error(`No route permissions configured for router '${routerName}'`);
+  }
+
+  return (req, res, next) => {
+    // Express serves HEAD with the GET handlers, so it needs the same permission
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const rule = rules.find(candidate =>
+      (candidate.method === '*' || candidate.method === method) &&
+      candidate.pattern.test(req.path)
+    );
+
+    if (!rule) {
+      return next(createError('No permission mapping for this route', 403, 'permission-denied'));
+    }
+
+    try {
+      requirePermission(req, rule.permission);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default authorize;
@@ -168,7 +168,9 @@ export function errorHandler(error, req, res, next) {
   
   // Format different types of errors
   if (!error.isOperational) {
-    if (error.code && error.code.startsWith('auth/')) {
+    if (typeof error.code === 'string' && error.code.startsWith('LIMIT_')) {
+      formattedError = formatMulterError(error);
+    } else if (error.code && error.code.startsWith('auth/')) {
       formattedError = formatFirebaseError(error);
     } else if (error.name === 'FirebaseError' || error.code) {
       formattedError = formatFirebaseError(error);
@@ -178,8 +180,6 @@ export function errorHandler(error, req, res, next) {
       formattedError = formatMongoError(error);
     } else if (error.name && error.name.includes('JsonWebToken')) {
       formattedError = formatJWTError(error);
-    } else if (error.code && error.code.startsWith('LIMIT_')) {
-      formattedError = formatMulterError(error);
     } else if (error.name === 'CastError') {
       formattedError = new APIError('Invalid ID format', 400, 'invalid-id');
     } else if (error.name === 'SyntaxError' && error.message.includes('JSON')) {
@@ -231,8 +231,10 @@ export function errorHandler(error, req, res, next) {
     }
   };
   
-  // Add error details in development mode
-  if (process.env.NODE_ENV !== 'production' && formattedError.details) {
+  // Client errors always carry their details (e.g. the offending query condition);
+  // server error details are only shown in development mode
+  const statusCode = formattedError.statusCode || 500;
+  if (formattedError.details && (statusCode < 500 || process.env.NODE_ENV !== 'production')) {
     response.error.details = formattedError.details;
   }
   
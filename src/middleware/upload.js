@@ -0,0 +1,34 @@
+import multer from 'multer';
+
+/**
+ * Multipart upload middleware
+ * Files are kept in memory, so every upload is size-limited.
+ */
+export function createUpload({ fileSize = 10 * 1024 * 1024, files = 5, fileFilter } = {}) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize,
+      files
+    },
+    fileFilter: fileFilter || ((req, file, cb) => {
+      // Add file type restrictions if needed
+      cb(null, true);
+    })
+  });
+}
+
+/**
+ * Uploads to Cloud Storage: up to 5 files of 10MB
+ */
+export const upload = createUpload();
+
+/**
+ * Data files for Firestore imports: one file, IMPORT_MAX_FILE_SIZE_MB (default 50MB)
+ */
+export const importUpload = createUpload({
+  fileSize: (parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB) || 50) * 1024 * 1024,
+  files: 1
+});
+
+export default upload;
@@ -3,6 +3,11 @@ import { query, validationResult } from 'express-validator';
 import { getDb, getAuthInstance, getStorageInstance, testFirebaseConnection, getProjectInfo } from '../config/firebase.js';
 import { logger } from '../utils/logger.js';
 import { asyncHandler, createError } from '../middleware/errorHandler.js';
+import { isReservedCollection } from '../config/collections.js';
+import { getPolicyRole, isActionAllowed, redactDocumentData } from '../services/accessPolicy.js';
+import { countDocuments } from '../services/aggregation.js';
+import { EXPORT_FORMATS } from '../services/exporter.js';
+import { encodeTypedJson } from '../utils/typedJson.js';
 
 const router = express.Router();
 
@@ -34,7 +39,8 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     const projectInfo = await getProjectInfo();
     
     // Get collections count
-    const collections = await db.listCollections();
+    const collections = (await db.listCollections())
+      .filter(collection => !isReservedCollection(collection.id));
     const collectionsCount = collections.length;
     
     // Get users count (limited to avoid performance issues)
@@ -49,19 +55,26 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
       return sum + (parseInt(file.metadata.size) || 0);
     }, 0);
     
-    // Get sample data from each collection (first 5 collections)
+    // Get sample data from each collection (first 5 collections); samples only where the policy allows reading
+    const role = getPolicyRole(req.user);
     const sampleCollections = await Promise.all(
       collections.slice(0, 5).map(async (collection) => {
         try {
-          const snapshot = await collection.limit(5).get();
+          const readable = isActionAllowed(role, collection.path, 'read');
+          const [documentCount, snapshot] = await Promise.all([
+            countDocuments(collection),
+            readable ? collection.limit(5).get() : null
+          ]);
           return {
             id: collection.id,
             path: collection.path,
-            documentCount: snapshot.size,
-            sampleDocuments: snapshot.docs.map(doc => ({
-              id: doc.id,
-              data: doc.data()
-            }))
+            documentCount,
+            ...(snapshot && {
+              sampleDocuments: snapshot.docs.map(doc => ({
+                id: doc.id,
+                data: encodeTypedJson(redactDocumentData(req.user, collection.id, doc.data()))
+              }))
+            })
           };
         } catch (error) {
           return {
@@ -142,7 +155,8 @@ router.get('/analytics', [
     }
     
     // Get collections with recent activity
-    const collections = await db.listCollections();
+    const collections = (await db.listCollections())
+      .filter(collection => !isReservedCollection(collection.id));
     const recentActivity = await Promise.all(
       collections.map(async (collection) => {
         try {
@@ -352,23 +366,26 @@ router.get('/system-info', asyncHandler(async (req, res) => {
 router.get('/backup-info', asyncHandler(async (req, res) => {
   try {
     const db = getDb();
-    const collections = await db.listCollections();
+    const collections = (await db.listCollections())
+      .filter(collection => !isReservedCollection(collection.id));
     
     const backupInfo = {
-      message: 'Backup functionality structure',
-      note: 'This endpoint provides information about backup capabilities. ' +
-            'Actual backup implementation depends on your specific requirements.',
       availableCollections: collections.map(col => ({
         id: col.id,
-        path: col.path
+        path: col.path,
+        exportUrl: `/api/v1/firestore/collections/${col.path}/export`
       })),
+      exportFormats: Object.keys(EXPORT_FORMATS),
+      exportOptions: {
+        format: `One of ${Object.keys(EXPORT_FORMATS).join(', ')} (default ndjson)`,
+        where: 'JSON array of query conditions, as for the list endpoint',
+        includeSubcollections: 'true to include every nested document',
+        columns: 'Comma separated dot paths for CSV columns'
+      },
       recommendedBackupMethods: [
-        'Firebase Firestore backup/restore via gcloud CLI',
-        'Custom export scripts using Firebase Admin SDK',
-        'Scheduled exports to Cloud Storage',
-        'Third-party backup services'
+        'Firestore managed export/import via gcloud CLI for full database backups',
+        'Collection exports through the export endpoint'
       ],
-      exportFormats: ['JSON', 'CSV', 'Firestore native format'],
       timestamp: new Date().toISOString()
     };
     
@@ -408,16 +425,18 @@ router.get('/health-detailed', asyncHandler(async (req, res) => {
           await testFirebaseConnection();
           health.services.firestore = { status: 'healthy', message: 'Connected' };
           break;
-        case 'auth':
+        case 'auth': {
           const auth = getAuthInstance();
           await auth.listUsers(1);
           health.services.auth = { status: 'healthy', message: 'Connected' };
           break;
-        case 'storage':
+        }
+        case 'storage': {
           const storage = getStorageInstance();
           await storage.bucket().getMetadata();
           health.services.storage = { status: 'healthy', message: 'Connected' };
           break;
+        }
       }
     } catch (error) {
       health.services[service] = { 
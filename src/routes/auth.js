@@ -1,10 +1,12 @@
 import express from 'express';
 import { body, param, validationResult } from 'express-validator';
-import jwt from 'jsonwebtoken';
-import bcrypt from 'bcryptjs';
 import { getAuthInstance } from '../config/firebase.js';
 import { authLogger } from '../utils/logger.js';
 import { asyncHandler, createError } from '../middleware/errorHandler.js';
+import { verifyIdToken } from '../middleware/auth.js';
+import { getUserPermissions } from '../middleware/authorize.js';
+import { PERMISSIONS, ROLES } from '../config/permissions.js';
+import { assertScopesHeld, issueApiKey, listApiKeys, rotateApiKey, revokeApiKey } from '../services/apiKeys.js';
 
 const router = express.Router();
 
@@ -31,10 +33,9 @@ router.post('/verify-token', [
   validateRequest
 ], asyncHandler(async (req, res) => {
   const { idToken } = req.body;
-  const auth = getAuthInstance();
   
   try {
-    const decodedToken = await auth.verifyIdToken(idToken);
+    const decodedToken = await verifyIdToken(idToken);
     
     authLogger.info(`Token verified for user: ${decodedToken.uid}`);
     
@@ -256,6 +257,7 @@ router.delete('/users/:uid', [
 router.post('/users/:uid/custom-claims', [
   param('uid').notEmpty().withMessage('User UID is required'),
   body('claims').isObject().withMessage('Claims must be an object'),
+  body('claims.role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   validateRequest
 ], asyncHandler(async (req, res) => {
   const { uid } = req.params;
@@ -348,4 +350,127 @@ router.post('/generate-token', [
   }
 }));
 
+/**
+ * POST /api-keys
+ * Issue a scoped API key for service-to-service callers
+ */
+router.post('/api-keys', [
+  body('name').isString().notEmpty().withMessage('Key name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(PERMISSIONS).withMessage(`Scopes must be one of: ${PERMISSIONS.join(', ')}`),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be an ISO 8601 date'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt = null } = req.body;
+  
+  assertScopesHeld(scopes, getUserPermissions(req.user));
+  
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw createError('Expiry must be in the future', 400, 'invalid-expiry');
+  }
+  
+  try {
+    const { key, apiKey } = await issueApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+      createdBy: req.user.uid
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        key,
+        apiKey,
+        message: 'Store this key now; it cannot be retrieved again'
+      }
+    });
+  } catch (error) {
+    throw createError('Failed to issue API key', 500, 'api-key-issue-failed', error.message);
+  }
+}));
+
+/**
+ * GET /api-keys
+ * List API keys (secrets are never returned)
+ */
+router.get('/api-keys', asyncHandler(async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys();
+    
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        count: apiKeys.length
+      }
+    });
+  } catch (error) {
+    throw createError('Failed to list API keys', 500, 'api-key-list-failed', error.message);
+  }
+}));
+
+/**
+ * POST /api-keys/:keyId/rotate
+ * Replace the secret of an API key
+ */
+router.post('/api-keys/:keyId/rotate', [
+  param('keyId').notEmpty().withMessage('Key ID is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { keyId } = req.params;
+  
+  let result;
+  try {
+    result = await rotateApiKey(keyId, getUserPermissions(req.user));
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError('Failed to rotate API key', 500, 'api-key-rotate-failed', error.message);
+  }
+  
+  if (!result) {
+    throw createError('API key not found', 404, 'api-key-not-found');
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      key: result.key,
+      apiKey: result.apiKey,
+      message: 'The previous secret no longer works; store this key now'
+    }
+  });
+}));
+
+/**
+ * DELETE /api-keys/:keyId
+ * Revoke an API key
+ */
+router.delete('/api-keys/:keyId', [
+  param('keyId').notEmpty().withMessage('Key ID is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { keyId } = req.params;
+  
+  let apiKey;
+  try {
+    apiKey = await revokeApiKey(keyId, getUserPermissions(req.user));
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError('Failed to revoke API key', 500, 'api-key-revoke-failed', error.message);
+  }
+  
+  if (!apiKey) {
+    throw createError('API key not found', 404, 'api-key-not-found');
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      message: 'API key revoked successfully',
+      apiKey
+    }
+  });
+}));
+
 export default router; 
\ No newline at end of file
@@ -1,11 +1,104 @@
 import express from 'express';
+import { FieldValue } from 'firebase-admin/firestore';
 import { body, param, query, validationResult } from 'express-validator';
 import { getDb } from '../config/firebase.js';
-import { logger, dbLogger } from '../utils/logger.js';
+import { dbLogger } from '../utils/logger.js';
 import { asyncHandler, createError } from '../middleware/errorHandler.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { importUpload } from '../middleware/upload.js';
+import { isProtectedPath, isReservedCollection, isSoftDeleteCollection } from '../config/collections.js';
+import {
+  assertCollectionAccess,
+  assertReadableFields,
+  assertWritableFields,
+  getPolicyRole,
+  getRedactedFields,
+  isActionAllowed,
+  preserveRedactedFields,
+  redactDocumentData
+} from '../services/accessPolicy.js';
+import { emitDocumentEvent } from '../services/realtime.js';
+import { getHookedSnapshots, notifyDocumentWrite, notifyDocumentWrites } from '../services/documentHooks.js';
+import { getConditionFields, getOrderByFields, isOrdering, parseFields, runPagedQuery } from '../services/queryBuilder.js';
+import {
+  MAX_ATOMIC_OPERATIONS,
+  MAX_BATCH_OPERATIONS,
+  dryRunBatch,
+  prepareBatchOperations,
+  preserveRedactedSetFields,
+  runAtomicBatch,
+  runBulkWrite
+} from '../services/batchWriter.js';
+import {
+  TRANSACTION_WRITE_TYPES,
+  runDocumentTransaction,
+  validateTransaction
+} from '../services/transactions.js';
+import {
+  AGGREGATION_TYPES,
+  countDocuments,
+  getAggregationAlias,
+  runAggregation,
+  runGroupBy
+} from '../services/aggregation.js';
+import {
+  formatTrashEntry,
+  getTrashEntry,
+  listTrash,
+  moveToTrash,
+  purgeTrash,
+  purgeTrashEntry,
+  restoreFromTrash
+} from '../services/trash.js';
+import { diffDocuments, formatVersion, getRollbackContent, getVersion, listVersions, readVersionCounters, recordVersion } from '../services/versions.js';
+import { EXPORT_FORMATS, iterateCollection, streamExport } from '../services/exporter.js';
+import {
+  IMPORT_FORMATS,
+  IMPORT_MODES,
+  detectImportFormat,
+  formatErrorReport,
+  parseMapping,
+  readImportFile,
+  startImport
+} from '../services/importer.js';
+import { canAccessJob, formatJob, getJob, listJobs } from '../services/jobs.js';
+import { startRecursiveDelete } from '../services/recursiveDelete.js';
+import { getSearchIndexStatus, searchCollection, updateSearchIndex } from '../services/search.js';
+import { assertGeoIndexed, queryGeo, startGeoBackfill } from '../services/geo.js';
+import {
+  DEFAULT_SAMPLE_SIZE,
+  MAX_SAMPLE_SIZE,
+  inferCollectionSchema,
+  toDraftJsonSchema
+} from '../services/schemaInference.js';
+import {
+  SCHEMA_MODES,
+  createWriteValidator,
+  deleteSchema,
+  formatSchema,
+  getSchema,
+  listSchemas,
+  saveSchema,
+  validateWrite
+} from '../services/schemas.js';
+import { prepareWriteData } from '../utils/fieldValues.js';
+import { getParentPath, isCollectionPath, isDocumentId, isDocumentPath } from '../utils/firestorePaths.js';
+import { encodeTypedJson } from '../utils/typedJson.js';
+import { createVersionConflictError, getETag, matchesVersion, parseIfMatch } from '../utils/etag.js';
 
 const router = express.Router();
 
+/**
+ * gRPC status codes Firestore uses for writes to missing or existing documents
+ */
+const GRPC_NOT_FOUND = 5;
+const GRPC_ALREADY_EXISTS = 6;
+
+/**
+ * Comma separated decimal coordinates for geo queries
+ */
+const COORDINATES_PATTERN = /^-?\d+(\.\d+)?(,-?\d+(\.\d+)?)+$/;
+
 /**
  * Validation middleware
  */
@@ -20,6 +113,153 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * 412 error with the current version of a document, redacted for the caller
+ */
+function versionConflict(req, collectionPath, snapshot) {
+  return createVersionConflictError(snapshot, snapshot.exists ? {
+    id: snapshot.id,
+    path: snapshot.ref.path,
+    etag: getETag(snapshot),
+    data: encodeTypedJson(redactDocumentData(req.user, collectionPath, snapshot.data()))
+  } : null);
+}
+
+/**
+ * Check the `collection` of every batch or transaction entry like the collectionPath route param
+ */
+function assertDocumentTargets(entries) {
+  const invalidEntry = entries.find(entry => !isCollectionPath(entry.collection));
+  if (invalidEntry) {
+    throw createError(`Invalid collection path: ${invalidEntry.collection}`, 400, 'invalid-collection-path');
+  }
+  
+  const reservedEntry = entries.find(entry => isReservedCollection(entry.collection));
+  if (reservedEntry) {
+    throw createError(`Collection ${reservedEntry.collection} is reserved`, 403, 'reserved-collection');
+  }
+}
+
+/**
+ * Describe batch or transaction writes for document hooks
+ */
+function toHookWrites(writes) {
+  return writes.map(({ type, collection, documentId }) => ({
+    path: `${collection}/${documentId}`,
+    operation: type
+  }));
+}
+
+/**
+ * Move a document to the trash, responding like a regular delete plus the trash entry ID
+ */
+async function softDeleteDocument(req, res, docRef, expectedVersion) {
+  const { collectionPath, documentId } = req.params;
+  const { snapshot, entryId } = await moveToTrash(getDb(), docRef, { deletedBy: req.user, expectedVersion });
+  
+  if (!snapshot.exists) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Document not found',
+        code: 'document-not-found',
+        collection: collectionPath,
+        documentId
+      }
+    });
+  }
+  if (!entryId) {
+    throw versionConflict(req, collectionPath, snapshot);
+  }
+  
+  await notifyDocumentWrite({ path: docRef.path, operation: 'delete', actor: req.user, before: snapshot, after: null });
+  
+  emitDocumentEvent(req.app.get('io'), 'document-deleted', collectionPath, {
+    collection: collectionPath,
+    documentId,
+    path: docRef.path,
+    trashId: entryId,
+    data: snapshot.data()
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      message: 'Document moved to trash',
+      id: documentId,
+      path: docRef.path,
+      collection: collectionPath,
+      trashId: entryId,
+      deletedData: encodeTypedJson(redactDocumentData(req.user, collectionPath, snapshot.data()))
+    }
+  });
+}
+
+/**
+ * Format a trash entry with its data redacted for the caller
+ */
+function formatTrashItem(req, snapshot) {
+  const entry = formatTrashEntry(snapshot);
+  return {
+    ...entry,
+    data: encodeTypedJson(redactDocumentData(req.user, entry.collection, entry.data))
+  };
+}
+
+/**
+ * Format a version entry with its data redacted for the caller and the fields it changed
+ */
+function formatVersionItem(req, collectionPath, snapshot) {
+  const { before, after, ...version } = formatVersion(snapshot);
+  const visibleBefore = encodeTypedJson(redactDocumentData(req.user, collectionPath, before));
+  const visibleAfter = encodeTypedJson(redactDocumentData(req.user, collectionPath, after));
+  return {
+    ...version,
+    before: visibleBefore,
+    after: visibleAfter,
+    changes: diffDocuments(visibleBefore, visibleAfter)
+  };
+}
+
+/**
+ * Check a `collection` query parameter like the collectionPath route param
+ */
+function assertTrashCollection(collection) {
+  assertDocumentTargets([{ collection }]);
+}
+
+/**
+ * Check that a route parameter is a single collection ID outside the reserved collections
+ */
+function isUnreservedCollectionId(collectionId) {
+  return !collectionId.includes('/') && !isReservedCollection(collectionId);
+}
+
+/**
+ * Collection paths may be nested (`conversations/abc/messages`).
+ * Keep reserved collections (API keys etc.) out of the generic routes.
+ */
+router.param('collectionPath', (req, res, next, collectionPath) => {
+  if (!isCollectionPath(collectionPath)) {
+    return next(createError(`Invalid collection path: ${collectionPath}`, 400, 'invalid-collection-path'));
+  }
+  if (isReservedCollection(collectionPath)) {
+    return next(createError(`Collection ${collectionPath} is reserved`, 403, 'reserved-collection'));
+  }
+  next();
+});
+
+/**
+ * Document IDs are URL-decoded, so `a%2Fmessages%2Fm1` would reach a nested document
+ * under the parent collection's policy. Only single IDs are accepted.
+ */
+router.param('documentId', (req, res, next, documentId) => {
+  if (!isDocumentId(documentId)) {
+    return next(createError('Document ID must be a non-empty ID without slashes', 400, 'invalid-document-id', { documentId }));
+  }
+  next();
+});
+
 /**
  * GET /collections
  * List all root collections
@@ -28,7 +268,8 @@ router.get('/collections', asyncHandler(async (req, res) => {
   const db = getDb();
   
   try {
-    const collections = await db.listCollections();
+    const collections = (await db.listCollections())
+      .filter(collection => !isReservedCollection(collection.id));
     const collectionsList = collections.map(collection => ({
       id: collection.id,
       path: collection.path
@@ -49,115 +290,116 @@ router.get('/collections', asyncHandler(async (req, res) => {
 }));
 
 /**
- * GET /collections/:collectionId/documents
- * List documents in a collection with optional filtering and pagination
+ * GET /collections/:collectionPath(*)/documents
+ * List documents in a collection with optional filtering and cursor pagination
  */
-router.get('/collections/:collectionId/documents', [
-  param('collectionId').notEmpty().withMessage('Collection ID is required'),
+router.get('/collections/:collectionPath(*)/documents', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
   query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  query('limitToLast').optional().isInt({ min: 1, max: 1000 }).withMessage('LimitToLast must be between 1 and 1000'),
   query('orderBy').optional().isString().withMessage('OrderBy must be a string'),
   query('orderDirection').optional().isIn(['asc', 'desc']).withMessage('Order direction must be asc or desc'),
-  query('startAfter').optional().isString().withMessage('StartAfter must be a string'),
+  query('startAfter').optional().isString().withMessage('StartAfter must be a cursor'),
+  query('endBefore').optional().isString().withMessage('EndBefore must be a cursor'),
   query('where').optional().isString().withMessage('Where clause must be a string'),
+  query('fields').optional().isString().withMessage('Fields must be a comma-separated list of field paths'),
   validateRequest
 ], asyncHandler(async (req, res) => {
-  const { collectionId } = req.params;
+  const { collectionPath } = req.params;
   const { 
     limit = 50, 
+    limitToLast,
     orderBy, 
     orderDirection = 'asc', 
     startAfter, 
+    endBefore,
     where,
+    fields,
     includeMetadata = false 
   } = req.query;
   
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  
+  let conditions = [];
+  if (where) {
+    try {
+      conditions = JSON.parse(where);
+    } catch (parseError) {
+      throw createError('Invalid where clause format', 400, 'invalid-where-clause');
+    }
+  }
+  assertReadableFields(req.user, collectionPath, [...getConditionFields(conditions), ...(orderBy ? [orderBy] : [])]);
+  
   const db = getDb();
   
   try {
-    let query = db.collection(collectionId);
-    
-    // Apply where clauses
-    if (where) {
-      try {
-        const whereClause = JSON.parse(where);
-        if (Array.isArray(whereClause)) {
-          whereClause.forEach(condition => {
-            const [field, operator, value] = condition;
-            query = query.where(field, operator, value);
-          });
-        }
-      } catch (parseError) {
-        throw createError('Invalid where clause format', 400, 'invalid-where-clause');
-      }
-    }
-    
-    // Apply ordering
-    if (orderBy) {
-      query = query.orderBy(orderBy, orderDirection);
-    }
-    
-    // Apply pagination
-    if (startAfter) {
-      const startAfterDoc = await db.collection(collectionId).doc(startAfter).get();
-      if (startAfterDoc.exists) {
-        query = query.startAfter(startAfterDoc);
-      }
-    }
-    
-    query = query.limit(parseInt(limit));
-    
-    const snapshot = await query.get();
+    const page = await runPagedQuery(db, collectionPath, {
+      conditions,
+      orderBy: orderBy ? [[orderBy, orderDirection]] : [],
+      limit,
+      limitToLast,
+      startAfter,
+      endBefore,
+      fields
+    });
     
-    const documents = snapshot.docs.map(doc => {
+    const documents = page.docs.map(doc => {
       const data = {
         id: doc.id,
-        data: doc.data()
+        path: doc.ref.path,
+        etag: getETag(doc),
+        data: encodeTypedJson(redactDocumentData(req.user, collectionPath, doc.data()))
       };
       
       if (includeMetadata === 'true') {
-        data.metadata = {
+        data.metadata = encodeTypedJson({
           createTime: doc.createTime,
           updateTime: doc.updateTime,
           readTime: doc.readTime
-        };
+        });
       }
       
       return data;
     });
     
-    dbLogger.info(`Retrieved ${documents.length} documents from collection ${collectionId}`);
+    dbLogger.info(`Retrieved ${documents.length} documents from collection ${collectionPath}`);
     
     res.json({
       success: true,
       data: {
         documents,
         count: documents.length,
-        hasMore: snapshot.size === parseInt(limit),
-        collection: collectionId
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+        collection: collectionPath
       }
     });
     
   } catch (error) {
-    throw createError(`Failed to list documents in collection ${collectionId}`, 500, 'firestore-query-error', error.message);
+    if (error.isOperational) throw error;
+    throw createError(`Failed to list documents in collection ${collectionPath}`, 500, 'firestore-query-error', error.message);
   }
 }));
 
 /**
- * GET /collections/:collectionId/documents/:documentId
+ * GET /collections/:collectionPath(*)/documents/:documentId
  * Get a specific document
  */
-router.get('/collections/:collectionId/documents/:documentId', [
-  param('collectionId').notEmpty().withMessage('Collection ID is required'),
+router.get('/collections/:collectionPath(*)/documents/:documentId', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
   param('documentId').notEmpty().withMessage('Document ID is required'),
   validateRequest
 ], asyncHandler(async (req, res) => {
-  const { collectionId, documentId } = req.params;
+  const { collectionPath, documentId } = req.params;
   const { includeMetadata = false } = req.query;
   
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  
   const db = getDb();
   
   try {
-    const docRef = db.collection(collectionId).doc(documentId);
+    const docRef = db.collection(collectionPath).doc(documentId);
     const doc = await docRef.get();
     
     if (!doc.exists) {
@@ -166,7 +408,7 @@ router.get('/collections/:collectionId/documents/:documentId', [
         error: {
           message: 'Document not found',
           code: 'document-not-found',
-          collection: collectionId,
+          collection: collectionPath,
           documentId
         }
       });
@@ -174,57 +416,275 @@ router.get('/collections/:collectionId/documents/:documentId', [
     
     const responseData = {
       id: doc.id,
-      data: doc.data()
+      path: doc.ref.path,
+      etag: getETag(doc),
+      data: encodeTypedJson(redactDocumentData(req.user, collectionPath, doc.data()))
     };
     
     if (includeMetadata === 'true') {
-      responseData.metadata = {
+      responseData.metadata = encodeTypedJson({
         createTime: doc.createTime,
         updateTime: doc.updateTime,
         readTime: doc.readTime
-      };
+      });
     }
     
-    dbLogger.info(`Retrieved document ${documentId} from collection ${collectionId}`);
+    dbLogger.info(`Retrieved document ${documentId} from collection ${collectionPath}`);
     
+    res.set('ETag', getETag(doc));
     res.json({
       success: true,
       data: responseData
     });
     
   } catch (error) {
-    throw createError(`Failed to get document ${documentId} from collection ${collectionId}`, 500, 'firestore-get-error', error.message);
+    throw createError(`Failed to get document ${documentId} from collection ${collectionPath}`, 500, 'firestore-get-error', error.message);
+  }
+}));
+
+/**
+ * GET /collections/:collectionPath(*)/documents/:documentId/collections
+ * List the subcollections of a document
+ */
+router.get('/collections/:collectionPath(*)/documents/:documentId/collections', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  param('documentId').notEmpty().withMessage('Document ID is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath, documentId } = req.params;
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  
+  const db = getDb();
+  
+  try {
+    const docRef = db.collection(collectionPath).doc(documentId);
+    const collections = await docRef.listCollections();
+    const collectionsList = collections.map(collection => ({
+      id: collection.id,
+      path: collection.path
+    }));
+    
+    dbLogger.info(`Listed ${collectionsList.length} subcollections of document ${docRef.path}`);
+    
+    res.json({
+      success: true,
+      data: {
+        collections: collectionsList,
+        count: collectionsList.length,
+        parent: docRef.path
+      }
+    });
+  } catch (error) {
+    throw createError(`Failed to list subcollections of document ${documentId} in collection ${collectionPath}`, 500, 'firestore-list-error', error.message);
+  }
+}));
+
+/**
+ * GET /collections/:collectionPath(*)/documents/:documentId/versions
+ * List the recorded versions of a document, newest first
+ */
+router.get('/collections/:collectionPath(*)/documents/:documentId/versions', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  param('documentId').notEmpty().withMessage('Document ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  query('pageToken').optional().isInt({ min: 1 }).withMessage('Page token must be a version number'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath, documentId } = req.params;
+  const { limit = 50, pageToken } = req.query;
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  
+  const db = getDb();
+  const path = `${collectionPath}/${documentId}`;
+  
+  try {
+    const { versions, hasMore, nextPageToken } = await listVersions(db, path, {
+      limit: parseInt(limit),
+      pageToken: pageToken && parseInt(pageToken)
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        path,
+        versions: versions.map(snapshot => {
+          const { before, after, changes, ...version } = formatVersionItem(req, collectionPath, snapshot);
+          return { ...version, changedFields: changes.map(change => change.field) };
+        }),
+        count: versions.length,
+        hasMore,
+        nextPageToken
+      }
+    });
+    
+  } catch (error) {
+    throw createError(`Failed to list versions of document ${documentId} in collection ${collectionPath}`, 500, 'firestore-versions-error', error.message);
+  }
+}));
+
+/**
+ * GET /collections/:collectionPath(*)/documents/:documentId/versions/diff?from=<version>&to=<version>
+ * Field-level diff between the document as it was after two versions
+ */
+router.get('/collections/:collectionPath(*)/documents/:documentId/versions/diff', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  param('documentId').notEmpty().withMessage('Document ID is required'),
+  query('from').isInt({ min: 1 }).withMessage('From must be a version number'),
+  query('to').isInt({ min: 1 }).withMessage('To must be a version number'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath, documentId } = req.params;
+  const from = parseInt(req.query.from);
+  const to = parseInt(req.query.to);
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  
+  const db = getDb();
+  const path = `${collectionPath}/${documentId}`;
+  const [fromVersion, toVersion] = await Promise.all([getVersion(db, path, from), getVersion(db, path, to)]);
+  
+  const fromData = encodeTypedJson(redactDocumentData(req.user, collectionPath, fromVersion.get('after')));
+  const toData = encodeTypedJson(redactDocumentData(req.user, collectionPath, toVersion.get('after')));
+  
+  res.json({
+    success: true,
+    data: {
+      path,
+      from,
+      to,
+      changes: diffDocuments(fromData, toData)
+    }
+  });
+}));
+
+/**
+ * GET /collections/:collectionPath(*)/documents/:documentId/versions/:version
+ * Get one version with the document before and after it and the fields it changed
+ */
+router.get('/collections/:collectionPath(*)/documents/:documentId/versions/:version', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  param('documentId').notEmpty().withMessage('Document ID is required'),
+  param('version').isInt({ min: 1 }).withMessage('Version must be a version number'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath, documentId, version } = req.params;
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  
+  const snapshot = await getVersion(getDb(), `${collectionPath}/${documentId}`, parseInt(version));
+  
+  res.json({
+    success: true,
+    data: formatVersionItem(req, collectionPath, snapshot)
+  });
+}));
+
+/**
+ * POST /collections/:collectionPath(*)/documents/:documentId/versions/:version/rollback
+ * Replace the document with its content after a version. Honours `If-Match`.
+ */
+router.post('/collections/:collectionPath(*)/documents/:documentId/versions/:version/rollback', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  param('documentId').notEmpty().withMessage('Document ID is required'),
+  param('version').isInt({ min: 1 }).withMessage('Version must be a version number'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath, documentId } = req.params;
+  const version = parseInt(req.params.version);
+  
+  assertCollectionAccess(req.user, collectionPath, 'write');
+  
+  const expectedVersion = parseIfMatch(req.get('If-Match'));
+  
+  const db = getDb();
+  const io = req.app.get('io');
+  const docRef = db.collection(collectionPath).doc(documentId);
+  
+  const target = await getVersion(db, docRef.path, version);
+  const data = target.get('after');
+  if (!data) {
+    throw createError(`Version ${version} deleted the document, there is no content to roll back to`, 400, 'invalid-rollback', { version });
+  }
+  await validateWrite(db, collectionPath, getRollbackContent(collectionPath, data));
+  
+  const rollbackData = { ...data, updatedAt: FieldValue.serverTimestamp() };
+  
+  try {
+    const previousDoc = await db.runTransaction(async (transaction) => {
+      const existingDoc = await transaction.get(docRef);
+      if (!matchesVersion(existingDoc, expectedVersion)) {
+        throw versionConflict(req, collectionPath, existingDoc);
+      }
+      const counters = await readVersionCounters(db, transaction, [docRef.path]);
+      
+      transaction.set(docRef, rollbackData);
+      recordVersion(db, transaction, counters, {
+        path: docRef.path,
+        operation: 'rollback',
+        actor: req.user,
+        before: existingDoc,
+        write: { type: 'set', data: rollbackData }
+      });
+      return existingDoc;
+    });
+    
+    const updatedDoc = await docRef.get();
+    await notifyDocumentWrite({ path: docRef.path, operation: 'rollback', actor: req.user, before: previousDoc, after: updatedDoc });
+    
+    dbLogger.info(`Rolled back document ${documentId} in collection ${collectionPath} to version ${version}`);
+    
+    emitDocumentEvent(io, previousDoc.exists ? 'document-updated' : 'document-created', collectionPath, {
+      collection: collectionPath,
+      documentId,
+      path: docRef.path,
+      data: updatedDoc.data()
+    });
+    
+    res.set('ETag', getETag(updatedDoc));
+    res.json({
+      success: true,
+      data: {
+        message: `Document rolled back to version ${version}`,
+        id: documentId,
+        path: docRef.path,
+        etag: getETag(updatedDoc),
+        data: encodeTypedJson(redactDocumentData(req.user, collectionPath, updatedDoc.data())),
+        collection: collectionPath
+      }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to roll back document ${documentId} in collection ${collectionPath}`, 500, 'firestore-rollback-error', error.message);
   }
 }));
 
 /**
- * POST /collections/:collectionId/documents
+ * POST /collections/:collectionPath(*)/documents
  * Create a new document
  */
-router.post('/collections/:collectionId/documents', [
-  param('collectionId').notEmpty().withMessage('Collection ID is required'),
+router.post('/collections/:collectionPath(*)/documents', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
   body('data').isObject().withMessage('Document data must be an object'),
   body('id').optional().isString().withMessage('Document ID must be a string'),
   validateRequest
 ], asyncHandler(async (req, res) => {
-  const { collectionId } = req.params;
-  const { data, id } = req.body;
+  const { collectionPath } = req.params;
+  const { id } = req.body;
+  
+  assertCollectionAccess(req.user, collectionPath, 'write');
   
   const db = getDb();
+  await validateWrite(db, collectionPath, req.body.data);
+  
+  const documentData = prepareWriteData(req.body.data, { create: true, collection: collectionPath });
   const io = req.app.get('io');
   
   try {
-    // Add server timestamp
-    const documentData = {
-      ...data,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    let docRef;
+    const docRef = id ? db.collection(collectionPath).doc(id) : db.collection(collectionPath).doc();
     if (id) {
-      docRef = db.collection(collectionId).doc(id);
-      
       // Check if document already exists
       const existingDoc = await docRef.get();
       if (existingDoc.exists) {
@@ -233,370 +693,1552 @@ router.post('/collections/:collectionId/documents', [
           error: {
             message: 'Document already exists',
             code: 'document-exists',
-            collection: collectionId,
+            collection: collectionPath,
             documentId: id
           }
         });
       }
-      
-      await docRef.set(documentData);
-    } else {
-      docRef = await db.collection(collectionId).add(documentData);
     }
     
+    await db.runTransaction(async (transaction) => {
+      const counters = await readVersionCounters(db, transaction, [docRef.path]);
+      transaction.create(docRef, documentData);
+      recordVersion(db, transaction, counters, {
+        path: docRef.path,
+        operation: 'create',
+        actor: req.user,
+        before: null,
+        write: { type: 'create', data: documentData }
+      });
+    });
+    
     const newDoc = await docRef.get();
+    await notifyDocumentWrite({ path: docRef.path, operation: 'create', actor: req.user, before: null, after: newDoc });
     
-    dbLogger.info(`Created document ${docRef.id} in collection ${collectionId}`);
+    dbLogger.info(`Created document ${docRef.id} in collection ${collectionPath}`);
     
     // Emit real-time update
-    if (io) {
-      io.to(`collection:${collectionId}`).emit('document-created', {
-        collection: collectionId,
-        documentId: docRef.id,
-        data: newDoc.data()
-      });
-    }
+    emitDocumentEvent(io, 'document-created', collectionPath, {
+      collection: collectionPath,
+      documentId: docRef.id,
+      path: docRef.path,
+      data: newDoc.data()
+    });
     
+    res.set('ETag', getETag(newDoc));
     res.status(201).json({
       success: true,
       data: {
         id: docRef.id,
-        data: newDoc.data(),
-        collection: collectionId
+        path: docRef.path,
+        etag: getETag(newDoc),
+        data: encodeTypedJson(redactDocumentData(req.user, collectionPath, newDoc.data())),
+        collection: collectionPath
       }
     });
     
   } catch (error) {
-    throw createError(`Failed to create document in collection ${collectionId}`, 500, 'firestore-create-error', error.message);
+    throw createError(`Failed to create document in collection ${collectionPath}`, 500, 'firestore-create-error', error.message);
   }
 }));
 
 /**
- * PUT /collections/:collectionId/documents/:documentId
- * Update a document (replace entire document)
+ * PUT /collections/:collectionPath(*)/documents/:documentId
+ * Replace a document. With `If-Match` the write only applies to that version.
  */
-router.put('/collections/:collectionId/documents/:documentId', [
-  param('collectionId').notEmpty().withMessage('Collection ID is required'),
+router.put('/collections/:collectionPath(*)/documents/:documentId', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
   param('documentId').notEmpty().withMessage('Document ID is required'),
   body('data').isObject().withMessage('Document data must be an object'),
   validateRequest
 ], asyncHandler(async (req, res) => {
-  const { collectionId, documentId } = req.params;
-  const { data } = req.body;
+  const { collectionPath, documentId } = req.params;
+  
+  assertCollectionAccess(req.user, collectionPath, 'write');
   
   const db = getDb();
+  await validateWrite(db, collectionPath, req.body.data);
+  
+  const data = prepareWriteData(req.body.data, { collection: collectionPath });
+  const expectedVersion = parseIfMatch(req.get('If-Match'));
   const io = req.app.get('io');
   
   try {
-    const docRef = db.collection(collectionId).doc(documentId);
+    const docRef = db.collection(collectionPath).doc(documentId);
     
-    // Check if document exists
-    const existingDoc = await docRef.get();
-    if (!existingDoc.exists) {
+    // set() takes no precondition, so the version check and the write share a transaction
+    const previousDoc = await db.runTransaction(async (transaction) => {
+      const existingDoc = await transaction.get(docRef);
+      if (!existingDoc.exists) {
+        return null;
+      }
+      if (!matchesVersion(existingDoc, expectedVersion)) {
+        throw versionConflict(req, collectionPath, existingDoc);
+      }
+      
+      const counters = await readVersionCounters(db, transaction, [docRef.path]);
+      
+      // Update document data, keeping fields the caller only sees redacted
+      const replacement = preserveRedactedFields(req.user, collectionPath, data, existingDoc.data());
+      transaction.set(docRef, replacement);
+      recordVersion(db, transaction, counters, {
+        path: docRef.path,
+        operation: 'set',
+        actor: req.user,
+        before: existingDoc,
+        write: { type: 'set', data: replacement }
+      });
+      return existingDoc;
+    });
+    
+    if (!previousDoc) {
       return res.status(404).json({
         success: false,
         error: {
           message: 'Document not found',
           code: 'document-not-found',
-          collection: collectionId,
+          collection: collectionPath,
           documentId
         }
       });
     }
     
-    // Update document data
-    const updatedData = {
-      ...data,
-      updatedAt: new Date()
-    };
-    
-    await docRef.set(updatedData);
-    
     const updatedDoc = await docRef.get();
+    await notifyDocumentWrite({ path: docRef.path, operation: 'set', actor: req.user, before: previousDoc, after: updatedDoc });
     
-    dbLogger.info(`Updated document ${documentId} in collection ${collectionId}`);
+    dbLogger.info(`Updated document ${documentId} in collection ${collectionPath}`);
     
     // Emit real-time update
-    if (io) {
-      io.to(`collection:${collectionId}`).emit('document-updated', {
-        collection: collectionId,
-        documentId,
-        data: updatedDoc.data()
-      });
-    }
+    emitDocumentEvent(io, 'document-updated', collectionPath, {
+      collection: collectionPath,
+      documentId,
+      path: docRef.path,
+      data: updatedDoc.data()
+    });
     
+    res.set('ETag', getETag(updatedDoc));
     res.json({
       success: true,
       data: {
         id: documentId,
-        data: updatedDoc.data(),
-        collection: collectionId
+        path: docRef.path,
+        etag: getETag(updatedDoc),
+        data: encodeTypedJson(redactDocumentData(req.user, collectionPath, updatedDoc.data())),
+        collection: collectionPath
       }
     });
     
   } catch (error) {
-    throw createError(`Failed to update document ${documentId} in collection ${collectionId}`, 500, 'firestore-update-error', error.message);
+    if (error.isOperational) throw error;
+    throw createError(`Failed to update document ${documentId} in collection ${collectionPath}`, 500, 'firestore-update-error', error.message);
   }
 }));
 
 /**
- * DELETE /collections/:collectionId/documents/:documentId
- * Delete a document
+ * PATCH /collections/:collectionPath(*)/documents/:documentId
+ * Partially update a document. Keys may be dot paths (e.g. `profile.city`) and values
+ * may be field operations such as `{ "__op": "increment", "by": 1 }` or `{ "__op": "delete" }`.
+ * Honours `If-Match`.
  */
-router.delete('/collections/:collectionId/documents/:documentId', [
-  param('collectionId').notEmpty().withMessage('Collection ID is required'),
+router.patch('/collections/:collectionPath(*)/documents/:documentId', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
   param('documentId').notEmpty().withMessage('Document ID is required'),
+  body('data').isObject().withMessage('Document data must be an object'),
+  body('data').custom(data => Object.keys(data).length > 0).withMessage('Document data must contain at least one field'),
   validateRequest
 ], asyncHandler(async (req, res) => {
-  const { collectionId, documentId } = req.params;
+  const { collectionPath, documentId } = req.params;
+  const { data } = req.body;
+  
+  assertCollectionAccess(req.user, collectionPath, 'write');
+  assertWritableFields(req.user, collectionPath, data);
   
   const db = getDb();
+  await validateWrite(db, collectionPath, data, { mode: 'update' });
+  
+  const updateData = prepareWriteData(data, { mode: 'update', collection: collectionPath });
+  const expectedVersion = parseIfMatch(req.get('If-Match'));
   const io = req.app.get('io');
   
   try {
-    const docRef = db.collection(collectionId).doc(documentId);
+    const docRef = db.collection(collectionPath).doc(documentId);
+    
+    // The version check, the update and its version entry share a transaction
+    const existingDoc = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      if (!snapshot.exists) {
+        return null;
+      }
+      if (!matchesVersion(snapshot, expectedVersion)) {
+        throw versionConflict(req, collectionPath, snapshot);
+      }
+      const counters = await readVersionCounters(db, transaction, [docRef.path]);
+      
+      transaction.update(docRef, updateData);
+      recordVersion(db, transaction, counters, {
+        path: docRef.path,
+        operation: 'update',
+        actor: req.user,
+        before: snapshot,
+        write: { type: 'update', data: updateData }
+      });
+      return snapshot;
+    });
     
-    // Check if document exists and get its data before deletion
-    const existingDoc = await docRef.get();
-    if (!existingDoc.exists) {
+    if (!existingDoc) {
       return res.status(404).json({
         success: false,
         error: {
           message: 'Document not found',
           code: 'document-not-found',
-          collection: collectionId,
+          collection: collectionPath,
           documentId
         }
       });
     }
     
-    const documentData = existingDoc.data();
-    
-    await docRef.delete();
+    const updatedDoc = await docRef.get();
+    await notifyDocumentWrite({ path: docRef.path, operation: 'update', actor: req.user, before: existingDoc, after: updatedDoc });
     
-    dbLogger.info(`Deleted document ${documentId} from collection ${collectionId}`);
+    dbLogger.info(`Patched document ${documentId} in collection ${collectionPath}`, {
+      fields: Object.keys(data)
+    });
     
     // Emit real-time update
-    if (io) {
-      io.to(`collection:${collectionId}`).emit('document-deleted', {
-        collection: collectionId,
-        documentId,
-        data: documentData
-      });
-    }
+    emitDocumentEvent(io, 'document-updated', collectionPath, {
+      collection: collectionPath,
+      documentId,
+      path: docRef.path,
+      data: updatedDoc.data()
+    });
     
+    res.set('ETag', getETag(updatedDoc));
     res.json({
       success: true,
       data: {
-        message: 'Document deleted successfully',
         id: documentId,
-        collection: collectionId,
-        deletedData: documentData
+        path: docRef.path,
+        etag: getETag(updatedDoc),
+        data: encodeTypedJson(redactDocumentData(req.user, collectionPath, updatedDoc.data())),
+        collection: collectionPath,
+        updatedFields: Object.keys(data)
       }
     });
     
   } catch (error) {
-    throw createError(`Failed to delete document ${documentId} from collection ${collectionId}`, 500, 'firestore-delete-error', error.message);
+    if (error.isOperational) throw error;
+    throw createError(`Failed to patch document ${documentId} in collection ${collectionPath}`, 500, 'firestore-update-error', error.message);
   }
 }));
 
 /**
- * POST /collections/:collectionId/query
- * Advanced querying with complex conditions
+ * DELETE /collections/:collectionPath(*)/documents/:documentId
+ * Delete a document. In soft-delete collections the document is moved to the trash instead.
+ * Honours `If-Match`.
  */
-router.post('/collections/:collectionId/query', [
-  param('collectionId').notEmpty().withMessage('Collection ID is required'),
-  body('conditions').optional().isArray().withMessage('Conditions must be an array'),
-  body('orderBy').optional().isArray().withMessage('OrderBy must be an array'),
-  body('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
-  body('startAfter').optional().isString().withMessage('StartAfter must be a string'),
+router.delete('/collections/:collectionPath(*)/documents/:documentId', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  param('documentId').notEmpty().withMessage('Document ID is required'),
   validateRequest
 ], asyncHandler(async (req, res) => {
-  const { collectionId } = req.params;
-  const { conditions = [], orderBy = [], limit = 50, startAfter, includeMetadata = false } = req.body;
+  const { collectionPath, documentId } = req.params;
+  
+  assertCollectionAccess(req.user, collectionPath, 'delete');
+  
+  const expectedVersion = parseIfMatch(req.get('If-Match'));
   
   const db = getDb();
+  const io = req.app.get('io');
   
   try {
-    let query = db.collection(collectionId);
+    const docRef = db.collection(collectionPath).doc(documentId);
     
-    // Apply where conditions
-    conditions.forEach(condition => {
-      const [field, operator, value] = condition;
-      query = query.where(field, operator, value);
-    });
+    if (isSoftDeleteCollection(collectionPath)) {
+      return await softDeleteDocument(req, res, docRef, expectedVersion);
+    }
     
-    // Apply ordering
-    orderBy.forEach(order => {
-      const [field, direction = 'asc'] = order;
-      query = query.orderBy(field, direction);
+    // Get the document's data before deletion; the delete and its version entry share a transaction
+    const existingDoc = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      if (!snapshot.exists) {
+        return null;
+      }
+      if (!matchesVersion(snapshot, expectedVersion)) {
+        throw versionConflict(req, collectionPath, snapshot);
+      }
+      const counters = await readVersionCounters(db, transaction, [docRef.path]);
+      
+      transaction.delete(docRef);
+      recordVersion(db, transaction, counters, {
+        path: docRef.path,
+        operation: 'delete',
+        actor: req.user,
+        before: snapshot,
+        write: { type: 'delete' }
+      });
+      return snapshot;
     });
     
-    // Apply pagination
-    if (startAfter) {
-      const startAfterDoc = await db.collection(collectionId).doc(startAfter).get();
-      if (startAfterDoc.exists) {
-        query = query.startAfter(startAfterDoc);
-      }
+    if (!existingDoc) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Document not found',
+          code: 'document-not-found',
+          collection: collectionPath,
+          documentId
+        }
+      });
     }
     
-    query = query.limit(limit);
+    const documentData = existingDoc.data();
     
-    const snapshot = await query.get();
+    await notifyDocumentWrite({ path: docRef.path, operation: 'delete', actor: req.user, before: existingDoc, after: null });
     
-    const documents = snapshot.docs.map(doc => {
+    dbLogger.info(`Deleted document ${documentId} from collection ${collectionPath}`);
+    
+    // Emit real-time update
+    emitDocumentEvent(io, 'document-deleted', collectionPath, {
+      collection: collectionPath,
+      documentId,
+      path: docRef.path,
+      data: documentData
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        message: 'Document deleted successfully',
+        id: documentId,
+        path: docRef.path,
+        collection: collectionPath,
+        deletedData: encodeTypedJson(redactDocumentData(req.user, collectionPath, documentData))
+      }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to delete document ${documentId} from collection ${collectionPath}`, 500, 'firestore-delete-error', error.message);
+  }
+}));
+
+/**
+ * POST /collections/:collectionPath(*)/query
+ * Advanced querying with complex conditions and cursor pagination
+ */
+router.post('/collections/:collectionPath(*)/query', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  body('conditions').optional().isArray().withMessage('Conditions must be an array'),
+  body('orderBy').optional().isArray().withMessage('OrderBy must be an array'),
+  body('orderBy.*').custom(isOrdering).withMessage('Each orderBy entry must be a [field, direction] pair with direction asc or desc'),
+  body('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  body('limitToLast').optional().isInt({ min: 1, max: 1000 }).withMessage('LimitToLast must be between 1 and 1000'),
+  body('startAfter').optional().isString().withMessage('StartAfter must be a cursor'),
+  body('endBefore').optional().isString().withMessage('EndBefore must be a cursor'),
+  body('fields').optional().isArray().withMessage('Fields must be an array of field paths'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath } = req.params;
+  const {
+    conditions = [],
+    orderBy = [],
+    limit = 50,
+    limitToLast,
+    startAfter,
+    endBefore,
+    fields,
+    includeMetadata = false
+  } = req.body;
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  assertReadableFields(req.user, collectionPath, [...getConditionFields(conditions), ...getOrderByFields(orderBy)]);
+  
+  const db = getDb();
+  
+  try {
+    const page = await runPagedQuery(db, collectionPath, {
+      conditions,
+      orderBy,
+      limit,
+      limitToLast,
+      startAfter,
+      endBefore,
+      fields
+    });
+    
+    const documents = page.docs.map(doc => {
       const data = {
         id: doc.id,
-        data: doc.data()
+        path: doc.ref.path,
+        etag: getETag(doc),
+        data: encodeTypedJson(redactDocumentData(req.user, collectionPath, doc.data()))
       };
       
       if (includeMetadata) {
-        data.metadata = {
+        data.metadata = encodeTypedJson({
           createTime: doc.createTime,
           updateTime: doc.updateTime,
           readTime: doc.readTime
-        };
+        });
       }
       
       return data;
     });
     
-    dbLogger.info(`Advanced query on collection ${collectionId} returned ${documents.length} documents`);
+    dbLogger.info(`Advanced query on collection ${collectionPath} returned ${documents.length} documents`);
     
     res.json({
       success: true,
       data: {
         documents,
         count: documents.length,
-        hasMore: snapshot.size === limit,
-        collection: collectionId,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+        collection: collectionPath,
         query: {
           conditions,
           orderBy,
           limit,
-          startAfter
+          limitToLast,
+          fields
         }
       }
     });
     
   } catch (error) {
-    throw createError(`Failed to execute query on collection ${collectionId}`, 500, 'firestore-query-error', error.message);
+    if (error.isOperational) throw error;
+    throw createError(`Failed to execute query on collection ${collectionPath}`, 500, 'firestore-query-error', error.message);
   }
 }));
 
 /**
- * POST /batch
- * Batch operations for multiple documents
+ * POST /collection-groups/:collectionId/query
+ * Advanced query across every collection with the given ID, whatever its parent
  */
-router.post('/batch', [
-  body('operations').isArray().withMessage('Operations must be an array'),
-  body('operations.*.type').isIn(['set', 'update', 'delete']).withMessage('Operation type must be set, update, or delete'),
-  body('operations.*.collection').notEmpty().withMessage('Collection is required for each operation'),
-  body('operations.*.documentId').notEmpty().withMessage('Document ID is required for each operation'),
+router.post('/collection-groups/:collectionId/query', [
+  param('collectionId').custom(isUnreservedCollectionId).withMessage('Collection ID must be a single path segment and not reserved'),
+  body('conditions').optional().isArray().withMessage('Conditions must be an array'),
+  body('orderBy').optional().isArray().withMessage('OrderBy must be an array'),
+  body('orderBy.*').custom(isOrdering).withMessage('Each orderBy entry must be a [field, direction] pair with direction asc or desc'),
+  body('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  body('limitToLast').optional().isInt({ min: 1, max: 1000 }).withMessage('LimitToLast must be between 1 and 1000'),
+  body('startAfter').optional().isString().withMessage('StartAfter must be a cursor'),
+  body('endBefore').optional().isString().withMessage('EndBefore must be a cursor'),
+  body('fields').optional().isArray().withMessage('Fields must be an array of field paths'),
   validateRequest
 ], asyncHandler(async (req, res) => {
-  const { operations } = req.body;
+  const { collectionId } = req.params;
+  const {
+    conditions = [],
+    orderBy = [],
+    limit = 50,
+    limitToLast,
+    startAfter,
+    endBefore,
+    fields,
+    includeMetadata = false
+  } = req.body;
+  
+  assertCollectionAccess(req.user, collectionId, 'read');
+  assertReadableFields(req.user, collectionId, [...getConditionFields(conditions), ...getOrderByFields(orderBy)]);
   
   const db = getDb();
-  const batch = db.batch();
   
   try {
-    const results = [];
+    const page = await runPagedQuery(db, collectionId, {
+      conditions,
+      orderBy,
+      limit,
+      limitToLast,
+      startAfter,
+      endBefore,
+      fields,
+      collectionGroup: true
+    });
     
-    for (const operation of operations) {
-      const { type, collection, documentId, data } = operation;
-      const docRef = db.collection(collection).doc(documentId);
+    const documents = page.docs.map(doc => {
+      const data = {
+        id: doc.id,
+        path: doc.ref.path,
+        parentPath: doc.ref.parent.parent?.path ?? null,
+        etag: getETag(doc),
+        data: encodeTypedJson(redactDocumentData(req.user, collectionId, doc.data()))
+      };
       
-      switch (type) {
-        case 'set':
-          if (!data) {
-            throw createError('Data is required for set operation', 400, 'missing-data');
-          }
-          batch.set(docRef, {
-            ...data,
-            updatedAt: new Date()
-          });
-          results.push({ type, collection, documentId, status: 'queued' });
-          break;
-          
-        case 'update':
-          if (!data) {
-            throw createError('Data is required for update operation', 400, 'missing-data');
-          }
-          batch.update(docRef, {
-            ...data,
-            updatedAt: new Date()
-          });
-          results.push({ type, collection, documentId, status: 'queued' });
-          break;
-          
-        case 'delete':
-          batch.delete(docRef);
-          results.push({ type, collection, documentId, status: 'queued' });
-          break;
+      if (includeMetadata) {
+        data.metadata = encodeTypedJson({
+          createTime: doc.createTime,
+          updateTime: doc.updateTime,
+          readTime: doc.readTime
+        });
+      }
+      
+      return data;
+    });
+    
+    dbLogger.info(`Collection group query on ${collectionId} returned ${documents.length} documents`);
+    
+    res.json({
+      success: true,
+      data: {
+        documents,
+        count: documents.length,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+        collectionGroup: collectionId,
+        query: {
+          conditions,
+          orderBy,
+          limit,
+          limitToLast,
+          fields
+        }
+      }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to execute collection group query on ${collectionId}`, 500, 'firestore-query-error', error.message);
+  }
+}));
+
+/**
+ * POST /collections/:collectionPath(*)/aggregate
+ * Count, sum and average documents server-side, optionally grouped by a field
+ */
+router.post('/collections/:collectionPath(*)/aggregate', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  body('conditions').optional().isArray().withMessage('Conditions must be an array'),
+  body('aggregations').optional().isArray({ min: 1, max: 5 }).withMessage('Aggregations must be an array of 1 to 5 entries'),
+  body('aggregations.*.type').isIn(AGGREGATION_TYPES).withMessage(`Aggregation type must be one of: ${AGGREGATION_TYPES.join(', ')}`),
+  body('aggregations.*.field').optional().isString().withMessage('Aggregation field must be a field path'),
+  body('aggregations.*.alias').optional().matches(/^[A-Za-z_][A-Za-z0-9_]*$/).withMessage('Alias must be a valid identifier'),
+  body('groupBy').optional().isString().notEmpty().withMessage('GroupBy must be a field path'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath } = req.params;
+  const { conditions = [], aggregations = [{ type: 'count' }], groupBy } = req.body;
+  
+  const missingField = aggregations.find(({ type, field }) => type !== 'count' && (typeof field !== 'string' || !field));
+  if (missingField) {
+    throw createError(`A field is required for ${missingField.type} aggregations`, 400, 'invalid-aggregation');
+  }
+  
+  const aliases = aggregations.map(getAggregationAlias);
+  if (new Set(aliases).size !== aliases.length) {
+    throw createError('Aggregation aliases must be unique', 400, 'invalid-aggregation', { aliases });
+  }
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  assertReadableFields(req.user, collectionPath, [
+    ...getConditionFields(conditions),
+    ...aggregations.map(({ field }) => field).filter(Boolean),
+    ...(groupBy ? [groupBy] : [])
+  ]);
+  
+  const db = getDb();
+  
+  try {
+    const [aggregates, groups] = await Promise.all([
+      runAggregation(db, collectionPath, { conditions, aggregations }),
+      groupBy ? runGroupBy(db, collectionPath, { conditions, aggregations, groupBy }) : null
+    ]);
+    
+    dbLogger.info(`Aggregated collection ${collectionPath}`, { aggregations: aliases, groupBy });
+    
+    res.json({
+      success: true,
+      data: {
+        collection: collectionPath,
+        aggregates,
+        ...(groups && { groupBy: groups })
       }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to aggregate collection ${collectionPath}`, 500, 'firestore-aggregate-error', error.message);
+  }
+}));
+
+/**
+ * GET /collections/:collectionPath(*)/export
+ * Stream a collection as NDJSON (default), a JSON array or CSV
+ * `where` filters the collection like the list endpoint, `includeSubcollections` adds every
+ * nested document and `columns` (comma separated dot paths) chooses the CSV columns.
+ */
+router.get('/collections/:collectionPath(*)/export', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  query('where').optional().isString().withMessage('Where clause must be a string'),
+  query('includeSubcollections').optional().isBoolean().withMessage('IncludeSubcollections must be a boolean'),
+  query('columns').optional().isString().withMessage('Columns must be a comma separated list'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath } = req.params;
+  const { format = 'ndjson', where, columns } = req.query;
+  const includeSubcollections = req.query.includeSubcollections === 'true';
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  
+  let conditions = [];
+  if (where) {
+    try {
+      conditions = JSON.parse(where);
+    } catch (parseError) {
+      throw createError('Invalid where clause format', 400, 'invalid-where-clause');
+    }
+  }
+  assertReadableFields(req.user, collectionPath, getConditionFields(conditions));
+  
+  const role = getPolicyRole(req.user);
+  const documents = iterateCollection(getDb(), collectionPath, {
+    conditions,
+    includeSubcollections,
+    canRead: path => isActionAllowed(role, path, 'read')
+  });
+  
+  try {
+    const count = await streamExport(res, documents, {
+      format,
+      columns: columns ? columns.split(',').map(column => column.trim()).filter(Boolean) : null,
+      filename: `${collectionPath.replace(/\//g, '_')}-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+      toRecord: doc => ({
+        id: doc.id,
+        path: doc.ref.path,
+        data: encodeTypedJson(redactDocumentData(req.user, doc.ref.parent.path, doc.data()))
+      })
+    });
+    
+    dbLogger.info(`Exported ${count} documents from collection ${collectionPath}`, { format, includeSubcollections });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to export collection ${collectionPath}`, 500, 'firestore-export-error', error.message);
+  }
+}));
+
+/**
+ * GET /collections/:collectionPath(*)/search
+ * Full-text search over the fields configured in SEARCH_INDEXES
+ * `q` is matched word by word (prefixes included), `filters` (JSON) holds exact values for
+ * the configured filter fields. Results are ranked and carry highlighted snippets.
+ */
+router.get('/collections/:collectionPath(*)/search', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  query('q').isString().notEmpty().withMessage('Search query is required'),
+  query('filters').optional().isString().withMessage('Filters must be a JSON object'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath } = req.params;
+  const { q, limit = 20, offset = 0 } = req.query;
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  
+  let filters = {};
+  if (req.query.filters) {
+    try {
+      filters = JSON.parse(req.query.filters);
+    } catch (parseError) {
+      throw createError('Invalid filters format', 400, 'invalid-search-filter');
+    }
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      throw createError('Filters must be a JSON object', 400, 'invalid-search-filter');
     }
+  }
+  assertReadableFields(req.user, collectionPath, Object.keys(filters));
+  
+  const db = getDb();
+  
+  try {
+    const { total, results, indexedAt } = await searchCollection(db, collectionPath, {
+      query: q,
+      filters,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      redactedFields: getRedactedFields(getPolicyRole(req.user), collectionPath)
+    });
+    
+    // The index only holds the searchable fields; return the documents as they are now
+    const snapshots = results.length > 0 ? await db.getAll(...results.map(({ path }) => db.doc(path))) : [];
+    const hits = results.flatMap((result, index) => {
+      const snapshot = snapshots[index];
+      if (!snapshot.exists) {
+        updateSearchIndex(result.path, null);
+        return [];
+      }
+      return [{
+        id: snapshot.id,
+        path: result.path,
+        score: result.score,
+        highlights: result.highlights,
+        etag: getETag(snapshot),
+        data: encodeTypedJson(redactDocumentData(req.user, collectionPath, snapshot.data()))
+      }];
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        results: hits,
+        count: hits.length,
+        total,
+        indexedAt,
+        collection: collectionPath
+      }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to search collection ${collectionPath}`, 500, 'firestore-search-error', error.message);
+  }
+}));
+
+/**
+ * GET /collections/:collectionPath(*)/geo
+ * Find documents within `radius` meters of `center` (lat,lng) or inside `bbox`
+ * (minLat,minLng,maxLat,maxLng), nearest first. Only collections in GEO_INDEXES can be queried.
+ */
+router.get('/collections/:collectionPath(*)/geo', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  query('center').optional().matches(COORDINATES_PATTERN).withMessage('Center must be lat,lng'),
+  query('radius').optional().isFloat({ gt: 0, max: 20000000 }).withMessage('Radius must be a positive number of meters'),
+  query('bbox').optional().matches(COORDINATES_PATTERN).withMessage('Bounding box must be minLat,minLng,maxLat,maxLng'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath } = req.params;
+  const { limit = 100 } = req.query;
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  const { field } = assertGeoIndexed(collectionPath);
+  assertReadableFields(req.user, collectionPath, [field]);
+  
+  const center = req.query.center?.split(',').map(Number);
+  const bbox = req.query.bbox?.split(',').map(Number);
+  const radius = req.query.radius ? parseFloat(req.query.radius) : undefined;
+  
+  if (Boolean(center) === Boolean(bbox) || Boolean(center) !== (radius !== undefined)) {
+    throw createError('Pass either center and radius or bbox', 400, 'invalid-geo-query');
+  }
+  const points = center ? [center] : bbox && [bbox.slice(0, 2), bbox.slice(2)];
+  if (points.some(point => point.length !== 2 || Math.abs(point[0]) > 90 || Math.abs(point[1]) > 180)) {
+    throw createError('Latitudes must be within ±90 and longitudes within ±180', 400, 'invalid-geo-query');
+  }
+  if (bbox && bbox[0] > bbox[2]) {
+    throw createError('Bounding box minLat must not exceed maxLat', 400, 'invalid-geo-query');
+  }
+  // A box whose west edge lies east of its east edge crosses the antimeridian
+  if (bbox && bbox[1] > bbox[3]) {
+    bbox[3] += 360;
+  }
+  
+  try {
+    const { results, total, truncated } = await queryGeo(getDb(), collectionPath, {
+      center,
+      radius,
+      bbox,
+      limit: parseInt(limit)
+    });
     
-    await batch.commit();
+    const documents = results.map(({ snapshot, distance }) => ({
+      id: snapshot.id,
+      path: snapshot.ref.path,
+      distance: Math.round(distance * 10) / 10,
+      etag: getETag(snapshot),
+      data: encodeTypedJson(redactDocumentData(req.user, collectionPath, snapshot.data()))
+    }));
     
-    // Update status to completed
-    results.forEach(result => {
-      result.status = 'completed';
+    res.json({
+      success: true,
+      data: {
+        documents,
+        count: documents.length,
+        total,
+        truncated,
+        collection: collectionPath
+      }
     });
     
-    dbLogger.info(`Executed batch operation with ${operations.length} operations`);
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to run geo query on collection ${collectionPath}`, 500, 'firestore-geo-error', error.message);
+  }
+}));
+
+/**
+ * POST /collections/:collectionPath(*)/geo/backfill
+ * Compute the geohashes of documents written before the geo index existed, as a background job
+ */
+router.post('/collections/:collectionPath(*)/geo/backfill', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath } = req.params;
+  
+  assertCollectionAccess(req.user, collectionPath, 'write');
+  
+  const job = startGeoBackfill(req.app.get('io'), getDb(), { collectionPath, user: req.user });
+  
+  dbLogger.info(`Geohash backfill of collection ${collectionPath} started`, { jobId: job.id });
+  
+  res.status(202).json({
+    success: true,
+    data: {
+      message: 'Geohash backfill started',
+      job
+    }
+  });
+}));
+
+/**
+ * GET /collections/:collectionPath(*)/inferred-schema
+ * Infer the field structure of a collection from up to `sampleSize` documents
+ * `format=json-schema` returns a draft for PUT /schemas/:collectionId instead of the field report.
+ */
+router.get('/collections/:collectionPath(*)/inferred-schema', [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  query('sampleSize').optional().isInt({ min: 1, max: MAX_SAMPLE_SIZE }).withMessage(`Sample size must be between 1 and ${MAX_SAMPLE_SIZE}`),
+  query('format').optional().isIn(['report', 'json-schema']).withMessage('Format must be report or json-schema'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath } = req.params;
+  const { sampleSize = DEFAULT_SAMPLE_SIZE, format = 'report' } = req.query;
+  
+  assertCollectionAccess(req.user, collectionPath, 'read');
+  
+  try {
+    const inference = await inferCollectionSchema(getDb(), collectionPath, {
+      sampleSize: parseInt(sampleSize),
+      redact: data => redactDocumentData(req.user, collectionPath, data)
+    });
     
     res.json({
       success: true,
+      data: format === 'json-schema'
+        ? { collection: collectionPath, sampled: inference.sampled, schema: toDraftJsonSchema(inference) }
+        : inference
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to infer schema of collection ${collectionPath}`, 500, 'firestore-schema-inference-error', error.message);
+  }
+}));
+
+/**
+ * POST /collections/:collectionPath(*)/import
+ * Import an NDJSON, JSON or CSV upload (`file`) as a background job
+ * `mapping` (JSON) maps columns to fields with optional types, `idColumn` names the column
+ * holding document IDs and `mode` is create-only (default), upsert or replace.
+ */
+router.post('/collections/:collectionPath(*)/import', importUpload.single('file'), [
+  param('collectionPath').notEmpty().withMessage('Collection path is required'),
+  body('format').optional().isIn(IMPORT_FORMATS).withMessage(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+  body('mode').optional().isIn(IMPORT_MODES).withMessage(`Mode must be one of: ${IMPORT_MODES.join(', ')}`),
+  body('idColumn').optional().isString().notEmpty().withMessage('ID column must be a column name'),
+  body('mapping').optional().isString().withMessage('Mapping must be a JSON object'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionPath } = req.params;
+  const { mode = 'create-only', idColumn } = req.body;
+  
+  if (!req.file) {
+    throw createError('No file uploaded', 400, 'no-file');
+  }
+  
+  assertCollectionAccess(req.user, collectionPath, 'write');
+  
+  let mapping = null;
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch (parseError) {
+      throw createError('Invalid mapping format', 400, 'invalid-mapping');
+    }
+  }
+  
+  const format = detectImportFormat(req.body.format, req.file.originalname);
+  const entries = readImportFile(req.file.buffer, format);
+  
+  const job = startImport(req.app.get('io'), getDb(), {
+    collectionPath,
+    entries,
+    format,
+    mode,
+    mapping: parseMapping(mapping),
+    idColumn,
+    user: req.user
+  });
+  
+  dbLogger.info(`Import into collection ${collectionPath} started`, { jobId: job.id, format, mode, size: req.file.size });
+  
+  res.status(202).json({
+    success: true,
+    data: {
+      message: 'Import started',
+      job
+    }
+  });
+}));
+
+/**
+ * POST /batch
+ * Batch operations for multiple documents, each reported individually
+ * By default operations are written independently through a BulkWriter (207 if any fail).
+ * `atomic: true` commits up to 500 operations all-or-nothing; `dryRun: true` only validates,
+ * including that update targets exist and `ifMatch` versions still match.
+ */
+router.post('/batch', [
+  body('operations').isArray({ min: 1, max: MAX_BATCH_OPERATIONS }).withMessage(`Operations must be an array of 1 to ${MAX_BATCH_OPERATIONS} entries`),
+  body('atomic').optional().isBoolean().withMessage('Atomic must be a boolean'),
+  body('dryRun').optional().isBoolean().withMessage('DryRun must be a boolean'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { operations, atomic = false, dryRun = false } = req.body;
+  
+  if (atomic && operations.length > MAX_ATOMIC_OPERATIONS) {
+    throw createError(`Atomic batches are limited to ${MAX_ATOMIC_OPERATIONS} operations`, 400, 'batch-too-large', {
+      count: operations.length
+    });
+  }
+  
+  // Batches are mapped to firestore:write; deletes inside them need firestore:delete as well
+  if (operations.some(operation => operation?.type === 'delete')) {
+    requirePermission(req, 'firestore:delete');
+  }
+  
+  const db = getDb();
+  const entries = prepareBatchOperations(operations, req.user, await createWriteValidator(db));
+  
+  try {
+    let results;
+    if (dryRun) {
+      results = await dryRunBatch(db, entries);
+    } else {
+      // Batches do not read their targets; hooks get the state read just before writing
+      const beforeSnapshots = await getHookedSnapshots(db, entries
+        .filter(entry => entry.write)
+        .map(({ collection, documentId }) => `${collection}/${documentId}`));
+      
+      await preserveRedactedSetFields(db, entries, req.user);
+      results = atomic ? await runAtomicBatch(db, entries, req.user) : await runBulkWrite(db, entries, req.user);
+      
+      await notifyDocumentWrites(db, toHookWrites(results.filter(result => result.status === 'committed')), beforeSnapshots, req.user);
+    }
+    
+    const failed = results.filter(result => result.status === 'failed').length;
+    const succeeded = results.filter(result => result.status === 'committed' || result.status === 'valid').length;
+    
+    dbLogger.info(`Executed batch operation with ${operations.length} operations`, { atomic, dryRun, failed });
+    
+    // Atomic batches fail as a whole: 400 for invalid operations, 409 when the database rejected them
+    let status = 200;
+    if (failed > 0 && !dryRun) {
+      if (atomic) {
+        status = entries.some(entry => entry.result) ? 400 : 409;
+      } else {
+        status = 207;
+      }
+    }
+    
+    let message = 'Batch operation completed successfully';
+    if (dryRun) {
+      message = failed > 0 ? 'Dry run found invalid operations' : 'Dry run passed; nothing was written';
+    } else if (failed > 0) {
+      message = atomic ? 'Batch was not applied' : 'Batch completed with failures';
+    }
+    
+    res.status(status).json({
+      success: failed === 0,
       data: {
-        message: 'Batch operation completed successfully',
+        message,
         operations: results,
-        count: results.length
+        count: results.length,
+        summary: { succeeded, failed, skipped: results.length - succeeded - failed },
+        atomic,
+        dryRun
       }
     });
     
   } catch (error) {
+    if (error.isOperational) throw error;
     throw createError('Failed to execute batch operation', 500, 'firestore-batch-error', error.message);
   }
 }));
 
 /**
- * GET /stats
- * Get database statistics
+ * POST /transaction
+ * Read documents, check assertions on them and apply writes atomically.
+ * If an assertion fails nothing is written and a 409 names the assertion.
  */
-router.get('/stats', asyncHandler(async (req, res) => {
+router.post('/transaction', [
+  body('reads').optional().isArray({ max: 100 }).withMessage('Reads must be an array of at most 100 entries'),
+  body('reads.*.collection').notEmpty().withMessage('Collection is required for each read'),
+  body('reads.*.documentId').custom(isDocumentId).withMessage('Document ID must be a non-empty ID without slashes for each read'),
+  body('assertions').optional().isArray().withMessage('Assertions must be an array'),
+  body('writes').isArray({ min: 1, max: 500 }).withMessage('Writes must be an array of 1 to 500 entries'),
+  body('writes.*.type').isIn(TRANSACTION_WRITE_TYPES).withMessage(`Write type must be one of: ${TRANSACTION_WRITE_TYPES.join(', ')}`),
+  body('writes.*.collection').notEmpty().withMessage('Collection is required for each write'),
+  body('writes.*.documentId').custom(isDocumentId).withMessage('Document ID must be a non-empty ID without slashes for each write'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { reads = [], assertions = [], writes } = req.body;
+  
+  validateTransaction({ reads, assertions, writes });
+  assertDocumentTargets([...reads, ...writes]);
+  
+  if (reads.length > 0) {
+    requirePermission(req, 'firestore:read');
+  }
+  if (writes.some(write => write.type === 'delete')) {
+    requirePermission(req, 'firestore:delete');
+  }
+  
+  for (const read of reads) {
+    assertCollectionAccess(req.user, read.collection, 'read');
+    assertReadableFields(req.user, read.collection, assertions
+      .filter(assertion => assertion.read === read.alias && assertion.field)
+      .map(assertion => assertion.field));
+  }
+  
   const db = getDb();
+  const checkWrite = await createWriteValidator(db);
   
-  try {
-    const collections = await db.listCollections();
-    const stats = {
-      collectionsCount: collections.length,
-      collections: []
+  const preparedWrites = writes.map(write => {
+    if (write.type === 'delete') {
+      assertCollectionAccess(req.user, write.collection, 'delete');
+      return write;
+    }
+    
+    assertCollectionAccess(req.user, write.collection, 'write');
+    // Redacted fields in a replacement are restored from the stored document inside the transaction
+    if (write.type !== 'set') {
+      assertWritableFields(req.user, write.collection, write.data);
+    }
+    checkWrite(write.collection, write.data, { mode: write.type === 'update' ? 'update' : 'set' });
+    
+    return {
+      ...write,
+      data: prepareWriteData(write.data, {
+        mode: write.type === 'update' ? 'update' : 'set',
+        create: write.type === 'create',
+        collection: write.collection
+      })
     };
+  });
+  
+  try {
+    const { snapshotsByAlias, beforeSnapshots, trashIds } = await runDocumentTransaction(db, { reads, assertions, writes: preparedWrites, user: req.user });
+    await notifyDocumentWrites(db, toHookWrites(writes), beforeSnapshots, req.user);
     
-    // Get document count for each collection (limited to avoid performance issues)
-    for (const collection of collections.slice(0, 10)) { // Limit to first 10 collections
-      try {
-        const snapshot = await collection.limit(1000).get();
-        stats.collections.push({
-          id: collection.id,
-          path: collection.path,
-          documentCount: snapshot.size,
-          sampleSize: Math.min(snapshot.size, 1000)
-        });
-      } catch (collectionError) {
-        stats.collections.push({
-          id: collection.id,
-          path: collection.path,
-          documentCount: 'Unable to count',
-          error: collectionError.message
-        });
+    const readResults = Object.fromEntries(reads.map(({ alias, collection }) => {
+      const snapshot = snapshotsByAlias[alias];
+      return [alias, {
+        id: snapshot.id,
+        path: snapshot.ref.path,
+        exists: snapshot.exists,
+        etag: getETag(snapshot),
+        data: snapshot.exists ? encodeTypedJson(redactDocumentData(req.user, collection, snapshot.data())) : null
+      }];
+    }));
+    
+    dbLogger.info(`Committed transaction with ${reads.length} reads and ${writes.length} writes`);
+    
+    res.json({
+      success: true,
+      data: {
+        message: 'Transaction committed successfully',
+        reads: readResults,
+        writes: writes.map(({ type, collection, documentId }, index) => ({
+          type,
+          collection,
+          documentId,
+          status: 'committed',
+          ...(trashIds[index] && { trashId: trashIds[index] })
+        })),
+        count: writes.length
       }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    if (error.code === GRPC_NOT_FOUND) {
+      throw createError('A document to update does not exist', 404, 'document-not-found', error.message);
     }
+    if (error.code === GRPC_ALREADY_EXISTS) {
+      throw createError('A document to create already exists', 409, 'document-already-exists', error.message);
+    }
+    throw createError('Failed to execute transaction', 500, 'firestore-transaction-error', error.message);
+  }
+}));
+
+/**
+ * POST /batch-get
+ * Fetch documents by path in one round trip, reporting the ones that do not exist
+ */
+router.post('/batch-get', [
+  body('paths').isArray({ min: 1, max: 500 }).withMessage('Paths must be an array of 1 to 500 document paths'),
+  body('fields').optional().isArray().withMessage('Fields must be an array of field paths'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { fields, includeMetadata = false } = req.body;
+  const paths = [...new Set(req.body.paths)];
+  
+  const invalidIndex = paths.findIndex(path => !isDocumentPath(path));
+  if (invalidIndex !== -1) {
+    throw createError(`Invalid document path: ${paths[invalidIndex]}`, 400, 'invalid-document-path');
+  }
+  const reservedPath = paths.find(path => isReservedCollection(path));
+  if (reservedPath) {
+    throw createError(`Collection ${getParentPath(reservedPath)} is reserved`, 403, 'reserved-collection');
+  }
+  
+  const collections = [...new Set(paths.map(getParentPath))];
+  collections.forEach(collectionPath => assertCollectionAccess(req.user, collectionPath, 'read'));
+  const fieldMask = fields !== undefined ? parseFields(fields) : undefined;
+  
+  const db = getDb();
+  
+  try {
+    const snapshots = await db.getAll(...paths.map(path => db.doc(path)), ...(fieldMask ? [{ fieldMask }] : []));
+    
+    const documents = snapshots.filter(doc => doc.exists).map(doc => {
+      const data = {
+        id: doc.id,
+        path: doc.ref.path,
+        etag: getETag(doc),
+        data: encodeTypedJson(redactDocumentData(req.user, doc.ref.parent.path, doc.data()))
+      };
+      
+      if (includeMetadata) {
+        data.metadata = encodeTypedJson({
+          createTime: doc.createTime,
+          updateTime: doc.updateTime,
+          readTime: doc.readTime
+        });
+      }
+      
+      return data;
+    });
+    const missing = snapshots.filter(doc => !doc.exists).map(doc => doc.ref.path);
+    
+    dbLogger.info(`Fetched ${documents.length} of ${paths.length} documents from ${collections.length} collections`);
+    
+    res.json({
+      success: true,
+      data: {
+        documents,
+        count: documents.length,
+        missing,
+        requested: paths.length
+      }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError('Failed to fetch documents', 500, 'firestore-get-error', error.message);
+  }
+}));
+
+/**
+ * GET /schemas
+ * List the registered collection schemas
+ */
+router.get('/schemas', asyncHandler(async (req, res) => {
+  try {
+    const schemas = (await listSchemas(getDb())).map(formatSchema);
+    
+    res.json({
+      success: true,
+      data: {
+        schemas,
+        count: schemas.length
+      }
+    });
+    
+  } catch (error) {
+    throw createError('Failed to list schemas', 500, 'firestore-schema-error', error.message);
+  }
+}));
+
+/**
+ * GET /schemas/:collectionId
+ * Get the schema registered for a collection ID
+ */
+router.get('/schemas/:collectionId', [
+  param('collectionId').custom(isUnreservedCollectionId).withMessage('Collection ID must be a single path segment and not reserved'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  try {
+    const snapshot = await getSchema(getDb(), req.params.collectionId);
+    
+    res.json({
+      success: true,
+      data: formatSchema(snapshot)
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to get schema for collection ${req.params.collectionId}`, 500, 'firestore-schema-error', error.message);
+  }
+}));
+
+/**
+ * PUT /schemas/:collectionId
+ * Register or replace the JSON Schema of a collection ID. `mode` is enforce (default) or warn.
+ */
+router.put('/schemas/:collectionId', [
+  param('collectionId').custom(isUnreservedCollectionId).withMessage('Collection ID must be a single path segment and not reserved'),
+  body('schema').isObject().withMessage('Schema must be a JSON Schema object'),
+  body('mode').optional().isIn(SCHEMA_MODES).withMessage(`Mode must be one of: ${SCHEMA_MODES.join(', ')}`),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionId } = req.params;
+  const { schema, mode = 'enforce' } = req.body;
+  
+  try {
+    const snapshot = await saveSchema(getDb(), collectionId, { schema, mode, user: req.user });
+    
+    dbLogger.info(`Saved schema for collection ${collectionId}`, { mode, version: snapshot.get('version'), updatedBy: req.user.uid });
+    
+    res.json({
+      success: true,
+      data: formatSchema(snapshot)
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to save schema for collection ${collectionId}`, 500, 'firestore-schema-error', error.message);
+  }
+}));
+
+/**
+ * DELETE /schemas/:collectionId
+ * Remove the schema of a collection ID; its writes are no longer validated
+ */
+router.delete('/schemas/:collectionId', [
+  param('collectionId').custom(isUnreservedCollectionId).withMessage('Collection ID must be a single path segment and not reserved'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collectionId } = req.params;
+  
+  try {
+    await deleteSchema(getDb(), collectionId);
+    
+    dbLogger.info(`Deleted schema for collection ${collectionId}`, { deletedBy: req.user.uid });
+    
+    res.json({
+      success: true,
+      data: {
+        message: `Schema for collection ${collectionId} deleted`,
+        collection: collectionId
+      }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to delete schema for collection ${collectionId}`, 500, 'firestore-schema-error', error.message);
+  }
+}));
+
+/**
+ * GET /trash
+ * List trashed documents, most recently deleted first. `collection` filters by collection path.
+ */
+router.get('/trash', [
+  query('collection').optional().isString().withMessage('Collection must be a string'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  query('pageToken').optional().isString().withMessage('Page token must be a string'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collection, limit = 50, pageToken } = req.query;
+  
+  if (collection) {
+    assertTrashCollection(collection);
+    assertCollectionAccess(req.user, collection, 'read');
+  }
+  
+  const db = getDb();
+  
+  try {
+    const { entries, hasMore, nextPageToken } = await listTrash(db, {
+      collection,
+      limit: parseInt(limit),
+      pageToken
+    });
+    
+    // Without a collection filter, skip entries from collections the caller may not read
+    const role = getPolicyRole(req.user);
+    const items = entries
+      .filter(entry => isActionAllowed(role, entry.get('collection'), 'read'))
+      .map(entry => formatTrashItem(req, entry));
+    
+    res.json({
+      success: true,
+      data: {
+        entries: items,
+        count: items.length,
+        hasMore,
+        nextPageToken
+      }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError('Failed to list trash', 500, 'firestore-trash-error', error.message);
+  }
+}));
+
+/**
+ * GET /trash/:entryId
+ * Get a trashed document
+ */
+router.get('/trash/:entryId', [
+  param('entryId').notEmpty().withMessage('Trash entry ID is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const entry = await getTrashEntry(getDb(), req.params.entryId);
+  assertCollectionAccess(req.user, entry.get('collection'), 'read');
+  
+  res.json({
+    success: true,
+    data: formatTrashItem(req, entry)
+  });
+}));
+
+/**
+ * POST /trash/:entryId/restore
+ * Restore a trashed document to its original path
+ */
+router.post('/trash/:entryId/restore', [
+  param('entryId').notEmpty().withMessage('Trash entry ID is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+  const db = getDb();
+  
+  const entry = await getTrashEntry(db, entryId);
+  const collectionPath = entry.get('collection');
+  assertCollectionAccess(req.user, collectionPath, 'write');
+  
+  try {
+    const restoredDoc = await restoreFromTrash(db, entryId, req.user);
+    await notifyDocumentWrite({ path: restoredDoc.ref.path, operation: 'restore', actor: req.user, before: null, after: restoredDoc });
+    
+    emitDocumentEvent(req.app.get('io'), 'document-created', collectionPath, {
+      collection: collectionPath,
+      documentId: restoredDoc.id,
+      path: restoredDoc.ref.path,
+      restoredFrom: entryId,
+      data: restoredDoc.data()
+    });
+    
+    res.set('ETag', getETag(restoredDoc));
+    res.json({
+      success: true,
+      data: {
+        message: 'Document restored successfully',
+        id: restoredDoc.id,
+        path: restoredDoc.ref.path,
+        etag: getETag(restoredDoc),
+        data: encodeTypedJson(redactDocumentData(req.user, collectionPath, restoredDoc.data())),
+        collection: collectionPath
+      }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw createError(`Failed to restore trash entry ${entryId}`, 500, 'firestore-restore-error', error.message);
+  }
+}));
+
+/**
+ * DELETE /trash/:entryId
+ * Permanently delete a trashed document
+ */
+router.delete('/trash/:entryId', [
+  param('entryId').notEmpty().withMessage('Trash entry ID is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+  const db = getDb();
+  
+  const entry = await getTrashEntry(db, entryId);
+  assertCollectionAccess(req.user, entry.get('collection'), 'delete');
+  
+  try {
+    await purgeTrashEntry(db, entryId);
+    
+    res.json({
+      success: true,
+      data: {
+        message: 'Trash entry purged successfully',
+        id: entryId,
+        path: entry.get('path')
+      }
+    });
+    
+  } catch (error) {
+    throw createError(`Failed to purge trash entry ${entryId}`, 500, 'firestore-purge-error', error.message);
+  }
+}));
+
+/**
+ * DELETE /trash?collection=<path>
+ * Permanently delete every trashed document of a collection
+ */
+router.delete('/trash', [
+  query('collection').isString().notEmpty().withMessage('Collection is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { collection } = req.query;
+  
+  assertTrashCollection(collection);
+  assertCollectionAccess(req.user, collection, 'delete');
+  
+  try {
+    const purged = await purgeTrash(getDb(), { collection });
+    
+    res.json({
+      success: true,
+      data: {
+        message: 'Trash purged successfully',
+        collection,
+        count: purged
+      }
+    });
     
-    if (collections.length > 10) {
-      stats.note = `Showing stats for first 10 collections out of ${collections.length}`;
+  } catch (error) {
+    throw createError(`Failed to purge trash of collection ${collection}`, 500, 'firestore-purge-error', error.message);
+  }
+}));
+
+/**
+ * POST /recursive-delete
+ * Delete a collection or a document with all of its subcollections as a background job
+ * `confirm` must repeat the path. Progress is reported on the job's Socket.io room.
+ */
+router.post('/recursive-delete', [
+  body('path').isString().notEmpty().withMessage('Path is required'),
+  body('confirm').isString().withMessage('Confirm must repeat the path'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { path, confirm } = req.body;
+  
+  if (!isCollectionPath(path) && !isDocumentPath(path)) {
+    throw createError(`Invalid path: ${path}`, 400, 'invalid-path');
+  }
+  if (confirm !== path) {
+    throw createError('Confirmation does not match the path to delete', 400, 'confirmation-mismatch', { path });
+  }
+  if (isProtectedPath(path)) {
+    throw createError(`${path} is in a protected collection and cannot be deleted recursively`, 403, 'protected-collection');
+  }
+  
+  assertCollectionAccess(req.user, isDocumentPath(path) ? getParentPath(path) : path, 'delete');
+  
+  const job = startRecursiveDelete(req.app.get('io'), getDb(), { path, user: req.user });
+  
+  dbLogger.warn(`Recursive delete of ${path} requested`, { jobId: job.id, requestedBy: req.user.uid });
+  
+  res.status(202).json({
+    success: true,
+    data: {
+      message: 'Recursive delete started',
+      job
+    }
+  });
+}));
+
+/**
+ * GET /jobs
+ * List background jobs started by the caller (owners see all jobs)
+ */
+router.get('/jobs', asyncHandler(async (req, res) => {
+  const jobs = listJobs(req.user).map(formatJob);
+  
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      count: jobs.length
     }
+  });
+}));
+
+/**
+ * GET /jobs/:jobId
+ * Get the status and progress of a background job
+ */
+router.get('/jobs/:jobId', asyncHandler(async (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job || !canAccessJob(req.user, job)) {
+    throw createError('Job not found', 404, 'job-not-found');
+  }
+  
+  res.json({
+    success: true,
+    data: formatJob(job)
+  });
+}));
+
+/**
+ * GET /jobs/:jobId/errors
+ * Download the per-row error report of a job as CSV (default) or NDJSON
+ */
+router.get('/jobs/:jobId/errors', [
+  query('format').optional().isIn(['csv', 'ndjson']).withMessage('Format must be csv or ndjson'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { format = 'csv' } = req.query;
+  const job = getJob(req.params.jobId);
+  if (!job || !canAccessJob(req.user, job)) {
+    throw createError('Job not found', 404, 'job-not-found');
+  }
+  
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="${job.type}-${job.id}-errors.${format}"`
+  });
+  res.send(formatErrorReport(job.errors, format));
+}));
+
+/**
+ * GET /stats
+ * Get database statistics, including the state of this instance's search indexes
+ */
+router.get('/stats', asyncHandler(async (req, res) => {
+  const db = getDb();
+  
+  try {
+    const collections = (await db.listCollections())
+      .filter(collection => !isReservedCollection(collection.id));
+    const stats = {
+      collectionsCount: collections.length,
+      collections: await Promise.all(collections.map(async (collection) => {
+        try {
+          return {
+            id: collection.id,
+            path: collection.path,
+            documentCount: await countDocuments(collection)
+          };
+        } catch (collectionError) {
+          return {
+            id: collection.id,
+            path: collection.path,
+            documentCount: 'Unable to count',
+            error: collectionError.message
+          };
+        }
+      })),
+      searchIndexes: getSearchIndexStatus()
+    };
     
     res.json({
       success: true,
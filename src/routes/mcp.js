@@ -1,7 +1,35 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { logger, mcpLogger } from '../utils/logger.js';
+import { mcpLogger } from '../utils/logger.js';
 import { asyncHandler, createError } from '../middleware/errorHandler.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { TOOL_PERMISSIONS } from '../config/permissions.js';
+import { isReservedCollection, isSoftDeleteCollection } from '../config/collections.js';
+import { getParentPath, isCollectionPath, isDocumentId, isDocumentPath } from '../utils/firestorePaths.js';
+import {
+  assertCollectionAccess,
+  assertReadableFields,
+  assertWritableFields,
+  getPolicyRole,
+  getRedactedFields,
+  isActionAllowed,
+  redactDocumentData
+} from '../services/accessPolicy.js';
+import { getConditionFields, getOrderByFields, parseOrderBy, runPagedQuery } from '../services/queryBuilder.js';
+import {
+  DEFAULT_SAMPLE_SIZE,
+  MAX_SAMPLE_SIZE,
+  inferCollectionSchema,
+  toDraftJsonSchema
+} from '../services/schemaInference.js';
+import { validateWrite } from '../services/schemas.js';
+import { searchCollection } from '../services/search.js';
+import { moveToTrash } from '../services/trash.js';
+import { notifyDocumentWrite } from '../services/documentHooks.js';
+import { readVersionCounters, recordVersion } from '../services/versions.js';
+import { prepareWriteData } from '../utils/fieldValues.js';
+import { encodeTypedJson } from '../utils/typedJson.js';
+import { createVersionConflictError, getETag, matchesVersion, parseIfMatch } from '../utils/etag.js';
 
 const router = express.Router();
 
@@ -36,10 +64,12 @@ router.get('/info', asyncHandler(async (req, res) => {
       tools: [
         {
           name: 'firestore_list_collections',
-          description: 'List all Firestore collections',
+          description: 'List root Firestore collections, or the subcollections of a document',
           schema: {
             type: 'object',
-            properties: {}
+            properties: {
+              parentPath: { type: 'string', description: 'Document path whose subcollections to list (e.g. conversations/abc)' }
+            }
           }
         },
         {
@@ -48,8 +78,8 @@ router.get('/info', asyncHandler(async (req, res) => {
           schema: {
             type: 'object',
             properties: {
-              collection: { type: 'string', description: 'Collection name' },
-              data: { type: 'object', description: 'Document data' },
+              collection: { type: 'string', description: 'Collection path (e.g. users or conversations/abc/messages)' },
+              data: { type: 'object', description: 'Document data; timestamps, geopoints and references use typed JSON ({ "__type": "timestamp", "value": "..." })' },
               id: { type: 'string', description: 'Optional document ID' }
             },
             required: ['collection', 'data']
@@ -61,7 +91,7 @@ router.get('/info', asyncHandler(async (req, res) => {
           schema: {
             type: 'object',
             properties: {
-              collection: { type: 'string', description: 'Collection name' },
+              collection: { type: 'string', description: 'Collection path (e.g. users or conversations/abc/messages)' },
               id: { type: 'string', description: 'Document ID' }
             },
             required: ['collection', 'id']
@@ -73,39 +103,58 @@ router.get('/info', asyncHandler(async (req, res) => {
           schema: {
             type: 'object',
             properties: {
-              collection: { type: 'string', description: 'Collection name' },
+              collection: { type: 'string', description: 'Collection path (e.g. users or conversations/abc/messages)' },
               id: { type: 'string', description: 'Document ID' },
-              data: { type: 'object', description: 'Update data' }
+              data: { type: 'object', description: 'Update data; keys may be dot paths and values may be field operations ({ "__op": "increment", "by": 1 }, arrayUnion, arrayRemove, serverTimestamp, delete)' },
+              ifMatch: { type: 'string', description: 'Only update if the document still has this etag' }
             },
             required: ['collection', 'id', 'data']
           }
         },
         {
           name: 'firestore_delete_document',
-          description: 'Delete a document from Firestore',
+          description: 'Delete a document from Firestore (moved to the trash in soft-delete collections)',
           schema: {
             type: 'object',
             properties: {
-              collection: { type: 'string', description: 'Collection name' },
-              id: { type: 'string', description: 'Document ID' }
+              collection: { type: 'string', description: 'Collection path (e.g. users or conversations/abc/messages)' },
+              id: { type: 'string', description: 'Document ID' },
+              ifMatch: { type: 'string', description: 'Only delete if the document still has this etag' }
             },
             required: ['collection', 'id']
           }
         },
         {
           name: 'firestore_query_collection',
-          description: 'Query documents in a collection',
+          description: 'Query documents in a collection, or in every collection with the same ID when collectionGroup is set',
           schema: {
             type: 'object',
             properties: {
-              collection: { type: 'string', description: 'Collection name' },
-              conditions: { type: 'array', description: 'Query conditions' },
+              collection: { type: 'string', description: 'Collection path (e.g. users or conversations/abc/messages), or a collection ID (e.g. messages) with collectionGroup' },
+              collectionGroup: { type: 'boolean', description: 'Query all collections with this ID, whatever their parent document' },
+              conditions: { type: 'array', description: 'AND-ed conditions: [field, operator, value] triples or { and: [...] } / { or: [...] } groups' },
               limit: { type: 'number', description: 'Limit results' },
-              orderBy: { type: 'array', description: 'Order by fields' }
+              orderBy: { type: 'array', description: 'Order by [field, direction] pairs, direction asc or desc' },
+              fields: { type: 'array', description: 'Only return these field paths (orderBy fields are always included)' },
+              startAfter: { type: 'string', description: 'nextCursor from a previous page' }
             },
             required: ['collection']
           }
         },
+        {
+          name: 'firestore_search',
+          description: 'Full-text search in a collection with a search index (words and word prefixes, ranked)',
+          schema: {
+            type: 'object',
+            properties: {
+              collection: { type: 'string', description: 'Collection path (e.g. places)' },
+              query: { type: 'string', description: 'Words to search for' },
+              filters: { type: 'object', description: 'Exact values for the collection\'s filter fields, e.g. { "category": "cafe" }' },
+              limit: { type: 'number', description: 'Maximum results (default 20, max 100)' }
+            },
+            required: ['collection', 'query']
+          }
+        },
         {
           name: 'storage_list_files',
           description: 'List files in Firebase Storage',
@@ -171,7 +220,7 @@ router.get('/info', asyncHandler(async (req, res) => {
         },
         {
           name: 'firestore_schema',
-          description: 'Firestore collections and document structure'
+          description: 'Inferred field structure of Firestore collections (?collection=, ?sampleSize=, ?format=json-schema for a draft JSON Schema)'
         },
         {
           name: 'storage_info',
@@ -215,6 +264,28 @@ router.post('/tools/:toolName', [
   const { toolName } = req.params;
   const { arguments: toolArgs = {} } = req.body;
 
+  if (TOOL_PERMISSIONS[toolName]) {
+    requirePermission(req, TOOL_PERMISSIONS[toolName]);
+  }
+
+  if (toolArgs.collection !== undefined && !isCollectionPath(toolArgs.collection)) {
+    throw createError(`Invalid collection path: ${toolArgs.collection}`, 400, 'invalid-collection-path');
+  }
+
+  // A slash in the ID would address a nested document under the collection's policy
+  if (toolArgs.id !== undefined && !isDocumentId(toolArgs.id)) {
+    throw createError('Document ID must be a non-empty ID without slashes', 400, 'invalid-document-id', { id: toolArgs.id });
+  }
+
+  if (toolArgs.parentPath !== undefined && !isDocumentPath(toolArgs.parentPath)) {
+    throw createError(`Invalid document path: ${toolArgs.parentPath}`, 400, 'invalid-document-path');
+  }
+
+  const targetPath = toolArgs.collection || toolArgs.parentPath;
+  if (targetPath && isReservedCollection(targetPath)) {
+    throw createError(`Collection ${targetPath} is reserved`, 403, 'reserved-collection');
+  }
+
   mcpLogger.info(`Executing MCP tool: ${toolName}`, { arguments: toolArgs });
 
   try {
@@ -222,27 +293,31 @@ router.post('/tools/:toolName', [
 
     switch (toolName) {
       case 'firestore_list_collections':
-        result = await executeFirestoreListCollections();
+        result = await executeFirestoreListCollections(toolArgs, req.user);
         break;
       
       case 'firestore_add_document':
-        result = await executeFirestoreAddDocument(toolArgs);
+        result = await executeFirestoreAddDocument(toolArgs, req.user);
         break;
       
       case 'firestore_get_document':
-        result = await executeFirestoreGetDocument(toolArgs);
+        result = await executeFirestoreGetDocument(toolArgs, req.user);
         break;
       
       case 'firestore_update_document':
-        result = await executeFirestoreUpdateDocument(toolArgs);
+        result = await executeFirestoreUpdateDocument(toolArgs, req.user);
         break;
       
       case 'firestore_delete_document':
-        result = await executeFirestoreDeleteDocument(toolArgs);
+        result = await executeFirestoreDeleteDocument(toolArgs, req.user);
         break;
       
       case 'firestore_query_collection':
-        result = await executeFirestoreQueryCollection(toolArgs);
+        result = await executeFirestoreQueryCollection(toolArgs, req.user);
+        break;
+      
+      case 'firestore_search':
+        result = await executeFirestoreSearch(toolArgs, req.user);
         break;
       
       case 'storage_list_files':
@@ -276,6 +351,9 @@ router.post('/tools/:toolName', [
 
   } catch (error) {
     mcpLogger.error(`MCP tool execution failed: ${toolName}`, { error: error.message, arguments: toolArgs });
+    if (error.isOperational) {
+      throw error;
+    }
     throw createError(`Tool execution failed: ${error.message}`, 500, 'tool-execution-error', error.message);
   }
 }));
@@ -286,6 +364,9 @@ router.post('/tools/:toolName', [
  */
 router.get('/resources/:resourceName', [
   param('resourceName').notEmpty().withMessage('Resource name is required'),
+  query('collection').optional().custom(isCollectionPath).withMessage('Collection must be a collection path'),
+  query('sampleSize').optional().isInt({ min: 1, max: MAX_SAMPLE_SIZE }).withMessage(`Sample size must be between 1 and ${MAX_SAMPLE_SIZE}`),
+  query('format').optional().isIn(['report', 'json-schema']).withMessage('Format must be report or json-schema'),
   validateRequest
 ], asyncHandler(async (req, res) => {
   const { resourceName } = req.params;
@@ -301,7 +382,7 @@ router.get('/resources/:resourceName', [
         break;
       
       case 'firestore_schema':
-        resource = await getFirestoreSchemaResource();
+        resource = await getFirestoreSchemaResource(req.query, req.user);
         break;
       
       case 'storage_info':
@@ -323,6 +404,9 @@ router.get('/resources/:resourceName', [
 
   } catch (error) {
     mcpLogger.error(`MCP resource fetch failed: ${resourceName}`, { error: error.message });
+    if (error.isOperational) {
+      throw error;
+    }
     throw createError(`Resource fetch failed: ${error.message}`, 500, 'resource-fetch-error', error.message);
   }
 }));
@@ -371,76 +455,177 @@ router.get('/prompts/:promptName', [
 }));
 
 // Helper functions for MCP tool execution
-async function executeFirestoreListCollections() {
+function documentNotFound(collection, id) {
+  return createError('Document not found', 404, 'document-not-found', { collection, documentId: id });
+}
+
+function versionConflict(user, collection, snapshot) {
+  return createVersionConflictError(snapshot, snapshot.exists ? {
+    id: snapshot.id,
+    etag: getETag(snapshot),
+    data: encodeTypedJson(redactDocumentData(user, collection, snapshot.data()))
+  } : null);
+}
+
+async function executeFirestoreListCollections(args, user) {
+  const { parentPath } = args;
+  if (parentPath) {
+    assertCollectionAccess(user, getParentPath(parentPath), 'read');
+  }
   const { getDb } = await import('../config/firebase.js');
   const db = getDb();
-  const collections = await db.listCollections();
+  const collections = parentPath
+    ? await db.doc(parentPath).listCollections()
+    : (await db.listCollections()).filter(col => !isReservedCollection(col.id));
   return {
     collections: collections.map(col => ({ id: col.id, path: col.path })),
-    count: collections.length
+    count: collections.length,
+    ...(parentPath && { parentPath })
   };
 }
 
-async function executeFirestoreAddDocument(args) {
-  const { collection, data, id } = args;
+async function executeFirestoreAddDocument(args, user) {
+  const { collection, id } = args;
+  assertCollectionAccess(user, collection, 'write');
   const { getDb } = await import('../config/firebase.js');
   const db = getDb();
+  await validateWrite(db, collection, args.data);
+  const data = prepareWriteData(args.data, { create: true, collection });
   
-  let docRef;
-  if (id) {
-    docRef = db.collection(collection).doc(id);
-    await docRef.set({ ...data, createdAt: new Date(), updatedAt: new Date() });
-  } else {
-    docRef = await db.collection(collection).add({ ...data, createdAt: new Date(), updatedAt: new Date() });
-  }
+  // Like the REST create, an existing document is never overwritten
+  const docRef = id ? db.collection(collection).doc(id) : db.collection(collection).doc();
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    if (snapshot.exists) {
+      throw createError('Document already exists', 409, 'document-exists', { collection, documentId: docRef.id });
+    }
+    const counters = await readVersionCounters(db, transaction, [docRef.path]);
+    transaction.create(docRef, data);
+    recordVersion(db, transaction, counters, {
+      path: docRef.path,
+      operation: 'create',
+      actor: user,
+      before: null,
+      write: { type: 'create', data }
+    });
+  });
   
   const newDoc = await docRef.get();
+  await notifyDocumentWrite({ path: docRef.path, operation: 'create', actor: user, before: null, after: newDoc });
   return {
     id: docRef.id,
-    data: newDoc.data(),
+    data: encodeTypedJson(redactDocumentData(user, collection, newDoc.data())),
     collection
   };
 }
 
-async function executeFirestoreGetDocument(args) {
+async function executeFirestoreGetDocument(args, user) {
   const { collection, id } = args;
+  assertCollectionAccess(user, collection, 'read');
   const { getDb } = await import('../config/firebase.js');
   const db = getDb();
   
   const doc = await db.collection(collection).doc(id).get();
   if (!doc.exists) {
-    throw new Error('Document not found');
+    throw documentNotFound(collection, id);
   }
   
   return {
     id: doc.id,
-    data: doc.data(),
+    path: doc.ref.path,
+    etag: getETag(doc),
+    data: encodeTypedJson(redactDocumentData(user, collection, doc.data())),
     collection
   };
 }
 
-async function executeFirestoreUpdateDocument(args) {
-  const { collection, id, data } = args;
+async function executeFirestoreUpdateDocument(args, user) {
+  const { collection, id } = args;
+  assertCollectionAccess(user, collection, 'write');
+  assertWritableFields(user, collection, args.data);
   const { getDb } = await import('../config/firebase.js');
   const db = getDb();
+  await validateWrite(db, collection, args.data, { mode: 'update' });
+  const data = prepareWriteData(args.data, { mode: 'update', collection });
   
+  const expectedVersion = parseIfMatch(args.ifMatch);
   const docRef = db.collection(collection).doc(id);
-  await docRef.update({ ...data, updatedAt: new Date() });
+  const before = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    if (!snapshot.exists) {
+      throw documentNotFound(collection, id);
+    }
+    if (!matchesVersion(snapshot, expectedVersion)) {
+      throw versionConflict(user, collection, snapshot);
+    }
+    const counters = await readVersionCounters(db, transaction, [docRef.path]);
+    transaction.update(docRef, data);
+    recordVersion(db, transaction, counters, {
+      path: docRef.path,
+      operation: 'update',
+      actor: user,
+      before: snapshot,
+      write: { type: 'update', data }
+    });
+    return snapshot;
+  });
   
   const updatedDoc = await docRef.get();
+  await notifyDocumentWrite({ path: docRef.path, operation: 'update', actor: user, before, after: updatedDoc });
   return {
     id: updatedDoc.id,
-    data: updatedDoc.data(),
+    etag: getETag(updatedDoc),
+    data: encodeTypedJson(redactDocumentData(user, collection, updatedDoc.data())),
     collection
   };
 }
 
-async function executeFirestoreDeleteDocument(args) {
+async function executeFirestoreDeleteDocument(args, user) {
   const { collection, id } = args;
+  assertCollectionAccess(user, collection, 'delete');
   const { getDb } = await import('../config/firebase.js');
   const db = getDb();
   
-  await db.collection(collection).doc(id).delete();
+  const expectedVersion = parseIfMatch(args.ifMatch);
+  const docRef = db.collection(collection).doc(id);
+  
+  if (isSoftDeleteCollection(collection)) {
+    const { snapshot, entryId } = await moveToTrash(db, docRef, { deletedBy: user, expectedVersion });
+    if (!snapshot.exists) {
+      throw documentNotFound(collection, id);
+    }
+    if (!entryId) {
+      throw versionConflict(user, collection, snapshot);
+    }
+    await notifyDocumentWrite({ path: docRef.path, operation: 'delete', actor: user, before: snapshot, after: null });
+    return {
+      message: 'Document moved to trash',
+      id,
+      collection,
+      trashId: entryId
+    };
+  }
+  
+  const before = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    if (!snapshot.exists) {
+      throw documentNotFound(collection, id);
+    }
+    if (!matchesVersion(snapshot, expectedVersion)) {
+      throw versionConflict(user, collection, snapshot);
+    }
+    const counters = await readVersionCounters(db, transaction, [docRef.path]);
+    transaction.delete(docRef);
+    recordVersion(db, transaction, counters, {
+      path: docRef.path,
+      operation: 'delete',
+      actor: user,
+      before: snapshot,
+      write: { type: 'delete' }
+    });
+    return snapshot;
+  });
+  await notifyDocumentWrite({ path: docRef.path, operation: 'delete', actor: user, before, after: null });
   return {
     message: 'Document deleted successfully',
     id,
@@ -448,34 +633,64 @@ async function executeFirestoreDeleteDocument(args) {
   };
 }
 
-async function executeFirestoreQueryCollection(args) {
-  const { collection, conditions = [], limit = 50, orderBy = [] } = args;
+async function executeFirestoreQueryCollection(args, user) {
+  const { collection, collectionGroup = false, conditions = [], limit = 50, orderBy = [], fields, startAfter } = args;
+  if (collectionGroup && collection.includes('/')) {
+    throw createError('A collection group query takes a collection ID, not a path', 400, 'invalid-collection-path');
+  }
+  parseOrderBy(orderBy);
+  assertCollectionAccess(user, collection, 'read');
+  assertReadableFields(user, collection, [...getConditionFields(conditions), ...getOrderByFields(orderBy)]);
   const { getDb } = await import('../config/firebase.js');
   const db = getDb();
   
-  let query = db.collection(collection);
+  const page = await runPagedQuery(db, collection, { conditions, orderBy, limit, startAfter, fields, collectionGroup });
+  const documents = page.docs.map(doc => ({
+    id: doc.id,
+    path: doc.ref.path,
+    ...(collectionGroup && { parentPath: doc.ref.parent.parent?.path ?? null }),
+    etag: getETag(doc),
+    data: encodeTypedJson(redactDocumentData(user, collection, doc.data()))
+  }));
   
-  conditions.forEach(condition => {
-    const [field, operator, value] = condition;
-    query = query.where(field, operator, value);
-  });
+  return {
+    documents,
+    count: documents.length,
+    hasMore: page.hasMore,
+    nextCursor: page.nextCursor,
+    ...(collectionGroup ? { collectionGroup: collection } : { collection })
+  };
+}
+
+async function executeFirestoreSearch(args, user) {
+  const { collection, query: searchQuery, filters = {}, limit = 20 } = args;
+  assertCollectionAccess(user, collection, 'read');
+  assertReadableFields(user, collection, Object.keys(filters));
+  const { getDb } = await import('../config/firebase.js');
+  const db = getDb();
   
-  orderBy.forEach(order => {
-    const [field, direction = 'asc'] = order;
-    query = query.orderBy(field, direction);
+  const { total, results } = await searchCollection(db, collection, {
+    query: searchQuery,
+    filters,
+    limit: Math.min(limit, 100),
+    redactedFields: getRedactedFields(getPolicyRole(user), collection)
   });
-  
-  query = query.limit(limit);
-  
-  const snapshot = await query.get();
-  const documents = snapshot.docs.map(doc => ({
-    id: doc.id,
-    data: doc.data()
-  }));
+  const snapshots = results.length > 0 ? await db.getAll(...results.map(({ path }) => db.doc(path))) : [];
+  const documents = results
+    .map((result, index) => ({ result, snapshot: snapshots[index] }))
+    .filter(({ snapshot }) => snapshot.exists)
+    .map(({ result, snapshot }) => ({
+      id: snapshot.id,
+      path: result.path,
+      score: result.score,
+      highlights: result.highlights,
+      data: encodeTypedJson(redactDocumentData(user, collection, snapshot.data()))
+    }));
   
   return {
     documents,
     count: documents.length,
+    total,
     collection
   };
 }
@@ -580,34 +795,48 @@ async function getFirebaseProjectInfoResource() {
   return await getProjectInfo();
 }
 
-async function getFirestoreSchemaResource() {
+async function getFirestoreSchemaResource(options, user) {
+  const { collection, format = 'report' } = options;
+  const sampleSize = parseInt(options.sampleSize) || DEFAULT_SAMPLE_SIZE;
   const { getDb } = await import('../config/firebase.js');
   const db = getDb();
-  const collections = await db.listCollections();
+  
+  const infer = async (collectionPath) => {
+    const inference = await inferCollectionSchema(db, collectionPath, {
+      sampleSize,
+      redact: data => redactDocumentData(user, collectionPath, data)
+    });
+    return format === 'json-schema'
+      ? { collection: collectionPath, sampled: inference.sampled, schema: toDraftJsonSchema(inference) }
+      : inference;
+  };
+  
+  if (collection) {
+    if (isReservedCollection(collection)) {
+      throw createError(`Collection ${collection} is reserved`, 403, 'reserved-collection');
+    }
+    assertCollectionAccess(user, collection, 'read');
+    return infer(collection);
+  }
+  
+  const role = getPolicyRole(user);
+  const collections = (await db.listCollections())
+    .filter(col => !isReservedCollection(col.id) && isActionAllowed(role, col.path, 'read'));
   
   const schema = await Promise.all(
-    collections.slice(0, 10).map(async (collection) => {
+    collections.slice(0, 10).map(async (col) => {
       try {
-        const snapshot = await collection.limit(3).get();
-        const sampleDocs = snapshot.docs.map(doc => doc.data());
-        
-        return {
-          id: collection.id,
-          path: collection.path,
-          sampleStructure: sampleDocs.length > 0 ? Object.keys(sampleDocs[0]) : [],
-          documentCount: snapshot.size
-        };
+        return await infer(col.path);
       } catch (error) {
         return {
-          id: collection.id,
-          path: collection.path,
+          collection: col.path,
           error: error.message
         };
       }
     })
   );
   
-  return { collections: schema };
+  return { collections: schema, sampleSize };
 }
 
 async function getStorageInfoResource() {
@@ -695,6 +924,17 @@ Arguments: {
   "orderBy": [["name", "asc"]],
   "limit": 10
 }
+\`\`\`
+
+## Query a Collection Group
+\`\`\`
+Tool: firestore_query_collection
+Arguments: {
+  "collection": "messages",
+  "collectionGroup": true,
+  "conditions": [["senderId", "==", "user123"]],
+  "limit": 20
+}
 \`\`\`
     `,
     examples: [
@@ -1,26 +1,12 @@
 import express from 'express';
-import multer from 'multer';
 import { body, param, query, validationResult } from 'express-validator';
 import { getStorageInstance } from '../config/firebase.js';
 import { logger } from '../utils/logger.js';
 import { asyncHandler, createError } from '../middleware/errorHandler.js';
+import { upload } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 5 // Maximum 5 files
-  },
-  fileFilter: (req, file, cb) => {
-    // Add file type restrictions if needed
-    cb(null, true);
-  }
-});
-
 /**
  * Validation middleware
  */
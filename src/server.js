@@ -10,8 +10,18 @@ import dotenv from 'dotenv';
 
 // Import our custom modules
 import { logger } from './utils/logger.js';
-import { initializeFirebase } from './config/firebase.js';
+import { getDb, initializeFirebase } from './config/firebase.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { authenticate, authenticateSocket } from './middleware/auth.js';
+import { authorize, hasPermission } from './middleware/authorize.js';
+import { isReservedCollection } from './config/collections.js';
+import { getPolicyRole, isActionAllowed } from './services/accessPolicy.js';
+import { getCollectionGroupRoom, getCollectionRoom, getJobRoom } from './services/realtime.js';
+import { canAccessJob, formatJob, getJob } from './services/jobs.js';
+import { startTrashPurgeSchedule } from './services/trash.js';
+import { registerDocumentHook } from './services/documentHooks.js';
+import { searchIndexHook, startSearchReindexSchedule } from './services/search.js';
+import { isCollectionPath } from './utils/firestorePaths.js';
 import { validateEnvVars } from './utils/envValidator.js';
 
 // Import routes
@@ -47,6 +57,9 @@ class FirebaseAdminServer {
       await initializeFirebase();
       logger.info('Firebase Admin SDK initialized successfully');
 
+      // Keep search indexes current
+      registerDocumentHook(searchIndexHook);
+
       // Setup middleware
       this.setupMiddleware();
 
@@ -59,6 +72,12 @@ class FirebaseAdminServer {
       // Setup error handling
       this.setupErrorHandling();
 
+      // Purge expired trash entries in the background
+      startTrashPurgeSchedule(getDb());
+
+      // Build search indexes and rebuild them periodically
+      startSearchReindexSchedule(getDb());
+
       logger.info('Firebase Admin Server initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize Firebase Admin Server:', error);
@@ -86,7 +105,8 @@ class FirebaseAdminServer {
       origin: process.env.CORS_ORIGIN?.split(',') || ['http://localhost:3000'],
       credentials: process.env.CORS_CREDENTIALS === 'true',
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'If-Match'],
+      exposedHeaders: ['ETag']
     }));
 
     // Rate limiting
@@ -137,6 +157,12 @@ class FirebaseAdminServer {
           mcp: '/api/v1/mcp',
           dashboard: '/dashboard'
         },
+        authentication: {
+          type: 'Bearer',
+          header: 'Authorization: Bearer <Firebase ID token>',
+          apiKeyHeader: 'X-API-Key: <API key>',
+          publicEndpoints: ['/health', '/']
+        },
         mcp: {
           status: 'enabled',
           transport: process.env.MCP_TRANSPORT || 'stdio',
@@ -154,12 +180,16 @@ class FirebaseAdminServer {
   setupRoutes() {
     const apiPrefix = process.env.API_PREFIX || '/api/v1';
 
-    // Route registration
-    this.app.use(`${apiPrefix}/auth`, authRoutes);
-    this.app.use(`${apiPrefix}/firestore`, firestoreRoutes);
-    this.app.use(`${apiPrefix}/storage`, storageRoutes);
-    this.app.use(`${apiPrefix}/admin`, adminRoutes);
-    this.app.use(`${apiPrefix}/mcp`, mcpRoutes);
+    // Every API route requires a Firebase ID token or an API key.
+    // /health, / and /dashboard are registered in setupMiddleware() and stay public.
+    this.app.use(apiPrefix, authenticate);
+
+    // Route registration (permissions per route are declared in config/permissions.js)
+    this.app.use(`${apiPrefix}/auth`, authorize('auth'), authRoutes);
+    this.app.use(`${apiPrefix}/firestore`, authorize('firestore'), firestoreRoutes);
+    this.app.use(`${apiPrefix}/storage`, authorize('storage'), storageRoutes);
+    this.app.use(`${apiPrefix}/admin`, authorize('admin'), adminRoutes);
+    this.app.use(`${apiPrefix}/mcp`, authorize('mcp'), mcpRoutes);
 
     // Catch-all route for undefined endpoints
     this.app.use('*', (req, res) => {
@@ -180,18 +210,80 @@ class FirebaseAdminServer {
   }
 
   setupSocketIO() {
+    // Sockets authenticate like API requests and receive data redacted for their role
+    this.io.use(authenticateSocket);
+
     this.io.on('connection', (socket) => {
       logger.info(`Client connected: ${socket.id}`);
+      const user = socket.data.user;
+      const role = getPolicyRole(user);
+
+      const canSubscribe = (collectionPath) => (
+        isCollectionPath(collectionPath) &&
+        hasPermission(user, 'firestore:read') &&
+        !isReservedCollection(collectionPath) &&
+        isActionAllowed(role, collectionPath, 'read')
+      );
 
       // Handle real-time Firebase updates
+      // Collections may be nested, e.g. `conversations/abc/messages`
       socket.on('subscribe-to-collection', (collectionName) => {
+        if (!canSubscribe(collectionName)) {
+          logger.warn(`Client ${socket.id} denied subscription to collection: ${collectionName}`);
+          socket.emit('subscription-error', {
+            collection: collectionName,
+            message: 'Not allowed to read this collection'
+          });
+          return;
+        }
+
         logger.info(`Client ${socket.id} subscribed to collection: ${collectionName}`);
-        socket.join(`collection:${collectionName}`);
+        socket.join(getCollectionRoom(collectionName, role));
       });
 
       socket.on('unsubscribe-from-collection', (collectionName) => {
         logger.info(`Client ${socket.id} unsubscribed from collection: ${collectionName}`);
-        socket.leave(`collection:${collectionName}`);
+        socket.leave(getCollectionRoom(collectionName, role));
+      });
+
+      // Collection groups receive events from every collection with the given ID, e.g. `messages`
+      socket.on('subscribe-to-collection-group', (collectionId) => {
+        if (typeof collectionId !== 'string' || collectionId.includes('/') || !canSubscribe(collectionId)) {
+          logger.warn(`Client ${socket.id} denied subscription to collection group: ${collectionId}`);
+          socket.emit('subscription-error', {
+            collectionGroup: collectionId,
+            message: 'Not allowed to read this collection group'
+          });
+          return;
+        }
+
+        logger.info(`Client ${socket.id} subscribed to collection group: ${collectionId}`);
+        socket.join(getCollectionGroupRoom(collectionId, role));
+      });
+
+      socket.on('unsubscribe-from-collection-group', (collectionId) => {
+        logger.info(`Client ${socket.id} unsubscribed from collection group: ${collectionId}`);
+        socket.leave(getCollectionGroupRoom(collectionId, role));
+      });
+
+      // Background jobs (recursive deletes, imports, ...) report progress to their creator
+      socket.on('subscribe-to-job', (jobId) => {
+        const job = getJob(jobId);
+        if (!job || !canAccessJob(user, job)) {
+          socket.emit('subscription-error', {
+            job: jobId,
+            message: 'Job not found'
+          });
+          return;
+        }
+
+        socket.join(getJobRoom(job.id));
+        // Send the current state so late subscribers do not miss a finished job
+        socket.emit('job-progress', formatJob(job));
+      });
+
+      socket.on('unsubscribe-from-job', (jobId) => {
+        socket.leave(getJobRoom(jobId));
       });
 
       socket.on('disconnect', () => {
@@ -271,6 +363,10 @@ class FirebaseAdminServer {
                     <a class="nav-link" href="#" onclick="showCollection('messages')"><i class="fas fa-comments me-2"></i> Messages</a>
                     <a class="nav-link" href="#" onclick="showCollection('events')"><i class="fas fa-calendar me-2"></i> Events</a>
                 </nav>
+                <form class="mt-4" onsubmit="openCollectionPath(event)">
+                    <label class="form-label text-white-50 small" for="collection-path">Open collection path</label>
+                    <input class="form-control form-control-sm" id="collection-path" placeholder="conversations/abc/messages">
+                </form>
             </div>
             <div class="col-md-10 content-area p-4">
                 <div id="dashboard" class="content-section">
@@ -337,7 +433,26 @@ class FirebaseAdminServer {
     <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
     <script>
         const API_BASE = window.location.origin;
-        let currentCollection = '', currentItem = null;
+        let currentCollection = '', currentItem = null, documentEtags = {};
+
+        // API calls need a Firebase ID token; ask for one when missing or rejected
+        async function apiFetch(path, options = {}) {
+            let token = localStorage.getItem('poppenAdminIdToken');
+            if (!token) token = requestToken();
+            const send = () => fetch(API_BASE + path, { ...options, headers: { ...(options.headers || {}), Authorization: 'Bearer ' + token } });
+            let response = await send();
+            if (response.status === 401) {
+                token = requestToken();
+                response = await send();
+            }
+            return response;
+        }
+
+        function requestToken() {
+            const token = prompt('Paste a Firebase ID token to access the admin API:') || '';
+            localStorage.setItem('poppenAdminIdToken', token);
+            return token;
+        }
 
         document.addEventListener('DOMContentLoaded', () => showDashboard());
 
@@ -350,21 +465,14 @@ class FirebaseAdminServer {
 
                  async function loadStats() {
              try {
-                 const response = await fetch(API_BASE + '/api/v1/firestore/collections');
+                 const response = await apiFetch('/api/v1/firestore/stats');
                  const data = await response.json();
                  const statsContainer = document.getElementById('stats-cards');
                  statsContainer.innerHTML = '';
                  if (data.success) {
                      for (let collection of data.data.collections) {
-                         try {
-                             const countResponse = await fetch(API_BASE + '/api/v1/firestore/collections/' + collection.id + '/documents?limit=100');
-                             const countData = await countResponse.json();
-                             const count = countData.data?.documents?.length || 0;
-                             statsContainer.appendChild(createStatCard(collection.id, count));
-                         } catch (error) {
-                             console.error('Error loading ' + collection.id, error);
-                             statsContainer.appendChild(createStatCard(collection.id, '?'));
-                         }
+                         const count = typeof collection.documentCount === 'number' ? collection.documentCount : '?';
+                         statsContainer.appendChild(createStatCard(collection.id, count));
                      }
                  }
              } catch (error) {
@@ -390,13 +498,19 @@ class FirebaseAdminServer {
             await loadCollectionData(collectionName);
         }
 
+        function openCollectionPath(event) {
+            event.preventDefault();
+            const path = document.getElementById('collection-path').value.trim().split('/').filter(Boolean).join('/');
+            if (path) showCollection(path);
+        }
+
         async function loadCollectionData(collectionName) {
             const loading = document.getElementById('loading');
             const table = document.getElementById('data-table');
             loading.style.display = 'block';
             table.style.display = 'none';
             try {
-                                 const response = await fetch(API_BASE + '/api/v1/firestore/collections/' + collectionName + '/documents');
+                                 const response = await apiFetch('/api/v1/firestore/collections/' + collectionName + '/documents');
                 const data = await response.json();
                 if (data.success && data.data.documents?.length > 0) {
                     buildTable(data.data.documents);
@@ -418,11 +532,15 @@ class FirebaseAdminServer {
             const allKeys = new Set();
             documents.forEach(doc => Object.keys(doc.data).forEach(key => allKeys.add(key)));
             const keyHeaders = Array.from(allKeys).slice(0, 5);
+            documentEtags = Object.fromEntries(documents.map(doc => [doc.id, doc.etag]));
                          header.innerHTML = '<th>ID</th>' + keyHeaders.map(key => '<th>' + key + '</th>').join('') + '<th width="120">Actions</th>';
             body.innerHTML = documents.map(doc => {
                 const cells = keyHeaders.map(key => {
                     let value = doc.data[key];
-                    if (typeof value === 'object') value = JSON.stringify(value);
+                    if (value && value.__type === 'timestamp') value = new Date(value.value).toLocaleString();
+                    else if (value && value.__type === 'geopoint') value = value.latitude + ', ' + value.longitude;
+                    else if (value && value.__type === 'reference') value = value.path;
+                    else if (typeof value === 'object') value = JSON.stringify(value);
                     if (typeof value === 'string' && value.length > 30) value = value.substring(0, 30) + '...';
                                          return '<td>' + (value || '-') + '</td>';
                  }).join('');
@@ -432,7 +550,7 @@ class FirebaseAdminServer {
         }
 
         function editItem(id, data) {
-            currentItem = { id, data };
+            currentItem = { id, data, etag: documentEtags[id] };
             hideAllSections();
             document.getElementById('edit-form').style.display = 'block';
                          document.getElementById('form-title').innerHTML = '<i class="fas fa-edit me-2"></i>Edit ' + currentCollection + ' - ' + id;
@@ -457,12 +575,19 @@ class FirebaseAdminServer {
             const updateData = {};
             for (let [key, value] of formData.entries()) {
                 try { updateData[key] = value.startsWith('{') || value.startsWith('[') ? JSON.parse(value) : value; } catch { updateData[key] = value; }
+                // Only send fields that were edited so untouched values keep their types
+                const original = currentItem.data[key];
+                const unchanged = original !== null && typeof original === 'object' ? JSON.stringify(updateData[key]) === JSON.stringify(original) : String(original || '') === value;
+                if (unchanged) delete updateData[key];
             }
+            if (Object.keys(updateData).length === 0) { alert('Nothing to update'); return; }
             try {
-                                 const response = await fetch(API_BASE + '/api/v1/firestore/collections/' + currentCollection + '/documents/' + currentItem.id, {
-                    method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(updateData)
+                                 const response = await apiFetch('/api/v1/firestore/collections/' + currentCollection + '/documents/' + currentItem.id, {
+                    method: 'PATCH', headers: { 'Content-Type': 'application/json', 'If-Match': currentItem.etag || '*' }, body: JSON.stringify({ data: updateData })
                 });
-                if (response.ok) { alert('✅ Updated successfully!'); showCollection(currentCollection); } else alert('❌ Error updating');
+                if (response.ok) { alert('✅ Updated successfully!'); showCollection(currentCollection); }
+                else if (response.status === 412) { alert('⚠️ Someone else changed this record. Reload it and apply your changes again.'); showCollection(currentCollection); }
+                else alert('❌ Error updating');
             } catch (error) { alert('❌ Error updating'); }
         });
 
@@ -470,8 +595,14 @@ class FirebaseAdminServer {
 
         async function deleteItemById(id) {
             try {
-                                 const response = await fetch(API_BASE + '/api/v1/firestore/collections/' + currentCollection + '/documents/' + id, { method: 'DELETE' });
-                if (response.ok) { alert('✅ Deleted successfully!'); loadCollectionData(currentCollection); } else alert('❌ Error deleting');
+                                 const response = await apiFetch('/api/v1/firestore/collections/' + currentCollection + '/documents/' + id, { method: 'DELETE', headers: { 'If-Match': documentEtags[id] || '*' } });
+                if (response.ok) {
+                    const result = await response.json();
+                    alert(result.data.trashId ? '🗑️ Moved to trash. It can be restored from the trash until it is purged.' : '✅ Deleted successfully!');
+                    loadCollectionData(currentCollection);
+                }
+                else if (response.status === 412) { alert('⚠️ Someone else changed this record. Reload it before deleting.'); loadCollectionData(currentCollection); }
+                else alert('❌ Error deleting');
             } catch (error) { alert('❌ Error deleting'); }
         }
 
@@ -0,0 +1,215 @@
+import { COLLECTION_POLICIES } from '../config/collections.js';
+import { ROLES } from '../config/permissions.js';
+import { createError } from '../middleware/errorHandler.js';
+import { getCollectionId } from '../utils/firestorePaths.js';
+
+const MASK = '***';
+
+/**
+ * Get the role a caller's policies are resolved for
+ * API keys and tokens without a known role use the `default` policy entry.
+ */
+export function getPolicyRole(user) {
+  if (user?.authType !== 'api-key' && ROLES.includes(user?.role)) {
+    return user.role;
+  }
+  return 'default';
+}
+
+/**
+ * Resolve the policy for a role on a collection, or null when unrestricted
+ */
+export function resolvePolicy(role, collectionPath) {
+  if (role === 'owner') {
+    return null;
+  }
+
+  const collectionPolicies = COLLECTION_POLICIES[getCollectionId(collectionPath)];
+  if (!collectionPolicies) {
+    return null;
+  }
+
+  return collectionPolicies[role] || collectionPolicies.default || null;
+}
+
+/**
+ * Check whether a role may perform an action (read, write or delete) on a collection
+ */
+export function isActionAllowed(role, collectionPath, action) {
+  const policy = resolvePolicy(role, collectionPath);
+  return !policy || policy[action] !== false;
+}
+
+/**
+ * Throw a 403 error unless the user may perform an action on a collection
+ */
+export function assertCollectionAccess(user, collectionPath, action) {
+  if (!isActionAllowed(getPolicyRole(user), collectionPath, action)) {
+    throw createError(
+      `Policy does not allow ${action} on collection ${collectionPath}`,
+      403,
+      'collection-access-denied',
+      { collection: collectionPath, action, role: getPolicyRole(user) }
+    );
+  }
+}
+
+/**
+ * Get the field paths a role cannot see in full on a collection
+ */
+export function getRedactedFields(role, collectionPath) {
+  const policy = resolvePolicy(role, collectionPath);
+  return [...(policy?.hide || []), ...(policy?.mask || [])];
+}
+
+/**
+ * Obscure a single value, keeping just enough to recognise it
+ */
+function maskValue(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return MASK;
+  }
+
+  const atIndex = value.indexOf('@');
+  if (atIndex > 0) {
+    return `${value[0]}${MASK}${value.slice(atIndex)}`;
+  }
+
+  return value.length > 8 ? `${MASK}${value.slice(-4)}` : MASK;
+}
+
+/**
+ * Apply a transform to the value at a dot path, copying maps along the way
+ */
+function transformPath(data, path, transform) {
+  const [head, ...rest] = path.split('.');
+  if (!data || typeof data !== 'object' || !(head in data)) {
+    return data;
+  }
+
+  const copy = { ...data };
+  if (rest.length === 0) {
+    const value = transform(copy[head]);
+    if (value === undefined) {
+      delete copy[head];
+    } else {
+      copy[head] = value;
+    }
+  } else {
+    copy[head] = transformPath(copy[head], rest.join('.'), transform);
+  }
+  return copy;
+}
+
+/**
+ * Redact document data for a role according to the collection policy
+ */
+export function redactForRole(role, collectionPath, data) {
+  const policy = resolvePolicy(role, collectionPath);
+  if (!policy || !data) {
+    return data;
+  }
+
+  let redacted = data;
+  for (const field of policy.hide || []) {
+    redacted = transformPath(redacted, field, () => undefined);
+  }
+  for (const field of policy.mask || []) {
+    redacted = transformPath(redacted, field, maskValue);
+  }
+  return redacted;
+}
+
+/**
+ * Redact document data for the requesting user
+ */
+export function redactDocumentData(user, collectionPath, data) {
+  return redactForRole(getPolicyRole(user), collectionPath, data);
+}
+
+/**
+ * Get the redacted fields that overlap any of the given field paths
+ */
+function findRedactedFields(user, collectionPath, fields) {
+  const redactedFields = getRedactedFields(getPolicyRole(user), collectionPath);
+
+  return redactedFields.filter(field => {
+    return fields.some(key =>
+      key === field || key.startsWith(`${field}.`) || field.startsWith(`${key}.`)
+    );
+  });
+}
+
+/**
+ * Throw a 403 error if a write payload touches fields the user cannot see in full
+ * Keys may be dot paths (partial updates) or nested maps.
+ */
+export function assertWritableFields(user, collectionPath, data) {
+  if (!data) {
+    return;
+  }
+
+  const touched = findRedactedFields(user, collectionPath, Object.keys(data));
+  if (touched.length > 0) {
+    throw createError(
+      `Policy does not allow writing fields: ${touched.join(', ')}`,
+      403,
+      'field-write-denied',
+      { collection: collectionPath, fields: touched }
+    );
+  }
+}
+
+/**
+ * Throw a 403 error if fields the user cannot see in full are aggregated or grouped on
+ */
+export function assertReadableFields(user, collectionPath, fields) {
+  const touched = findRedactedFields(user, collectionPath, fields);
+  if (touched.length > 0) {
+    throw createError(
+      `Policy does not allow reading fields: ${touched.join(', ')}`,
+      403,
+      'field-read-denied',
+      { collection: collectionPath, fields: touched }
+    );
+  }
+}
+
+/**
+ * Check whether the user sees any field of a collection hidden or masked
+ */
+export function hasRedactedFields(user, collectionPath) {
+  return getRedactedFields(getPolicyRole(user), collectionPath).length > 0;
+}
+
+/**
+ * Carry fields the user cannot see over from the stored document into a replacement
+ * so that a round trip through a redacted view does not overwrite them.
+ */
+export function preserveRedactedFields(user, collectionPath, data, storedData) {
+  const redactedFields = getRedactedFields(getPolicyRole(user), collectionPath);
+  let merged = data;
+
+  for (const field of redactedFields) {
+    const storedValue = field.split('.').reduce((value, key) => value?.[key], storedData);
+    merged = setPath(merged, field, storedValue);
+  }
+  return merged;
+}
+
+function setPath(data, path, value) {
+  if (value === undefined) {
+    return transformPath(data, path, () => undefined);
+  }
+
+  const [head, ...rest] = path.split('.');
+  const copy = { ...data };
+
+  if (rest.length === 0) {
+    copy[head] = value;
+  } else {
+    const child = copy[head] && typeof copy[head] === 'object' ? copy[head] : {};
+    copy[head] = setPath(child, rest.join('.'), value);
+  }
+  return copy;
+}
@@ -0,0 +1,122 @@
+import { AggregateField } from 'firebase-admin/firestore';
+import { encodeTypedJson } from '../utils/typedJson.js';
+import { buildQuery } from './queryBuilder.js';
+
+export const AGGREGATION_TYPES = ['count', 'sum', 'average'];
+
+/**
+ * Maximum number of documents read for a group-by
+ */
+const GROUP_BY_SCAN_LIMIT = parseInt(process.env.AGGREGATION_GROUP_BY_LIMIT) || 10000;
+
+/**
+ * Get the result key of an aggregation (`count`, `sum_price`, or its alias)
+ */
+export function getAggregationAlias({ type, field, alias }) {
+  if (alias) {
+    return alias;
+  }
+  return type === 'count' ? 'count' : `${type}_${field.replace(/\./g, '_')}`;
+}
+
+function toAggregateField({ type, field }) {
+  switch (type) {
+    case 'sum':
+      return AggregateField.sum(field);
+    case 'average':
+      return AggregateField.average(field);
+    default:
+      return AggregateField.count();
+  }
+}
+
+/**
+ * Run count, sum and average aggregations server-side
+ * Aggregations are billed per index entry and never download documents.
+ */
+export async function runAggregation(db, collectionPath, { conditions = [], aggregations }) {
+  const query = buildQuery(db, collectionPath, { conditions });
+  const spec = Object.fromEntries(
+    aggregations.map(aggregation => [getAggregationAlias(aggregation), toAggregateField(aggregation)])
+  );
+
+  const snapshot = await query.aggregate(spec).get();
+  return snapshot.data();
+}
+
+/**
+ * Group documents by a field and aggregate each group in memory
+ *
+ * Only the grouped and aggregated fields are read, and at most
+ * GROUP_BY_SCAN_LIMIT documents; `truncated` reports whether more matched.
+ */
+export async function runGroupBy(db, collectionPath, { conditions = [], aggregations, groupBy }) {
+  const valueFields = [...new Set(
+    aggregations.filter(({ type }) => type !== 'count').map(({ field }) => field)
+  )];
+  const fields = [...new Set([groupBy, ...valueFields])];
+
+  const snapshot = await buildQuery(db, collectionPath, { conditions })
+    .select(...fields)
+    .limit(GROUP_BY_SCAN_LIMIT + 1)
+    .get();
+
+  const truncated = snapshot.size > GROUP_BY_SCAN_LIMIT;
+  const docs = truncated ? snapshot.docs.slice(0, GROUP_BY_SCAN_LIMIT) : snapshot.docs;
+  const groups = new Map();
+
+  for (const doc of docs) {
+    // Encoded so typed values (timestamps, references, GeoPoints) group and serialise by content
+    const value = encodeTypedJson(doc.get(groupBy) ?? null);
+    const key = JSON.stringify(value);
+    if (!groups.has(key)) {
+      groups.set(key, { value, count: 0, totals: {} });
+    }
+
+    const group = groups.get(key);
+    group.count++;
+    for (const field of valueFields) {
+      const fieldValue = doc.get(field);
+      if (typeof fieldValue === 'number') {
+        group.totals[field] = group.totals[field] || { sum: 0, count: 0 };
+        group.totals[field].sum += fieldValue;
+        group.totals[field].count++;
+      }
+    }
+  }
+
+  const results = [...groups.values()].map(({ value, count, totals }) => ({
+    value,
+    count,
+    aggregates: Object.fromEntries(aggregations.map(aggregation => {
+      const total = totals[aggregation.field];
+      let result = count;
+      if (aggregation.type === 'sum') {
+        result = total ? total.sum : 0;
+      } else if (aggregation.type === 'average') {
+        result = total ? total.sum / total.count : null;
+      }
+      return [getAggregationAlias(aggregation), result];
+    }))
+  }));
+
+  results.sort((a, b) => b.count - a.count);
+
+  return {
+    field: groupBy,
+    groups: results,
+    scanned: docs.length,
+    limit: GROUP_BY_SCAN_LIMIT,
+    truncated
+  };
+}
+
+/**
+ * Count the documents of a collection or query exactly
+ */
+export async function countDocuments(query) {
+  const snapshot = await query.count().get();
+  return snapshot.data().count;
+}
+
+export default runAggregation;
@@ -0,0 +1,239 @@
+import { createHash, randomBytes } from 'crypto';
+import bcrypt from 'bcryptjs';
+import { Timestamp } from 'firebase-admin/firestore';
+import { getDb } from '../config/firebase.js';
+import { RESERVED_COLLECTIONS } from '../config/collections.js';
+import { authLogger } from '../utils/logger.js';
+import { createError } from '../middleware/errorHandler.js';
+
+const KEY_PREFIX = 'pak_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const VERIFIED_KEY_TTL_MS = 60 * 1000;
+
+/**
+ * Keys that recently passed the bcrypt comparison, by key ID
+ * Entries hold the stored hash they were checked against, so rotating a key invalidates them.
+ */
+const verifiedKeys = new Map();
+
+/**
+ * Get the reserved collection holding API keys
+ */
+function getKeysCollection() {
+  return getDb().collection(RESERVED_COLLECTIONS.apiKeys);
+}
+
+/**
+ * Generate a raw key of the form pak_<keyId>.<secret>
+ * The key ID lets us look the record up before comparing the bcrypt hash.
+ */
+function generateRawKey(keyId) {
+  return `${KEY_PREFIX}${keyId}.${randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Split a raw key into its key ID and secret
+ * Key IDs are document IDs, so one with a slash cannot belong to a key.
+ */
+export function parseRawKey(rawKey) {
+  if (typeof rawKey !== 'string' || !rawKey.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const [keyId, secret] = rawKey.slice(KEY_PREFIX.length).split('.');
+  if (!keyId || !secret || keyId.includes('/')) {
+    return null;
+  }
+
+  return { keyId, secret };
+}
+
+async function hashKey(rawKey) {
+  return bcrypt.hash(rawKey, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+}
+
+/**
+ * Format a stored key record for API responses (never includes the hash)
+ */
+function formatKeyRecord(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    name: data.name,
+    keyPrefix: data.keyPrefix,
+    scopes: data.scopes,
+    createdBy: data.createdBy,
+    createdAt: data.createdAt?.toDate().toISOString() || null,
+    expiresAt: data.expiresAt?.toDate().toISOString() || null,
+    lastUsedAt: data.lastUsedAt?.toDate().toISOString() || null,
+    rotatedAt: data.rotatedAt?.toDate().toISOString() || null,
+    revokedAt: data.revokedAt?.toDate().toISOString() || null,
+    status: getKeyStatus(data)
+  };
+}
+
+function getKeyStatus(data) {
+  if (data.revokedAt) return 'revoked';
+  if (data.expiresAt && data.expiresAt.toMillis() <= Date.now()) return 'expired';
+  return 'active';
+}
+
+/**
+ * Throw a 403 error unless every scope is among the caller's permissions
+ * Callers cannot hand out, take over or take away more access than they hold themselves.
+ */
+export function assertScopesHeld(scopes, callerPermissions) {
+  const excessScopes = (scopes || []).filter(scope => !callerPermissions.includes(scope));
+  if (excessScopes.length > 0) {
+    throw createError(`Scopes not held by the caller: ${excessScopes.join(', ')}`, 403, 'scope-not-allowed', { scopes: excessScopes });
+  }
+}
+
+/**
+ * Issue a new API key
+ * Returns the stored record together with the raw key, which is only shown once.
+ */
+export async function issueApiKey({ name, scopes, expiresAt = null, createdBy }) {
+  const docRef = getKeysCollection().doc();
+  const rawKey = generateRawKey(docRef.id);
+
+  await docRef.set({
+    name,
+    keyHash: await hashKey(rawKey),
+    keyPrefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+    scopes,
+    createdBy,
+    createdAt: Timestamp.now(),
+    expiresAt: expiresAt ? Timestamp.fromDate(new Date(expiresAt)) : null,
+    lastUsedAt: null,
+    rotatedAt: null,
+    revokedAt: null
+  });
+
+  authLogger.info(`API key issued: ${docRef.id}`, { name, scopes, createdBy });
+
+  return {
+    key: rawKey,
+    apiKey: formatKeyRecord(await docRef.get())
+  };
+}
+
+/**
+ * List all API keys
+ */
+export async function listApiKeys() {
+  const snapshot = await getKeysCollection().orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map(formatKeyRecord);
+}
+
+/**
+ * Replace the secret of an API key, keeping its ID, name and scopes
+ * The key's scopes must all be in `callerPermissions`.
+ */
+export async function rotateApiKey(keyId, callerPermissions) {
+  const docRef = getKeysCollection().doc(keyId);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    return null;
+  }
+  assertScopesHeld(doc.data().scopes, callerPermissions);
+  if (doc.data().revokedAt) {
+    throw createError('Cannot rotate a revoked API key', 409, 'api-key-revoked');
+  }
+
+  const rawKey = generateRawKey(keyId);
+  await docRef.update({
+    keyHash: await hashKey(rawKey),
+    keyPrefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+    rotatedAt: Timestamp.now()
+  });
+
+  authLogger.info(`API key rotated: ${keyId}`);
+
+  return {
+    key: rawKey,
+    apiKey: formatKeyRecord(await docRef.get())
+  };
+}
+
+/**
+ * Revoke an API key. The record is kept for auditing.
+ * The key's scopes must all be in `callerPermissions`.
+ */
+export async function revokeApiKey(keyId, callerPermissions) {
+  const docRef = getKeysCollection().doc(keyId);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    return null;
+  }
+  assertScopesHeld(doc.data().scopes, callerPermissions);
+
+  if (!doc.data().revokedAt) {
+    await docRef.update({ revokedAt: Timestamp.now() });
+    authLogger.info(`API key revoked: ${keyId}`);
+  }
+
+  return formatKeyRecord(await docRef.get());
+}
+
+/**
+ * Compare a raw key with its stored bcrypt hash
+ * Successful comparisons are remembered for VERIFIED_KEY_TTL_MS; the hash is deliberately slow
+ * and would otherwise be computed on every request.
+ */
+async function matchesKeyHash(keyId, rawKey, keyHash) {
+  const digest = createHash('sha256').update(rawKey).digest('hex');
+  const verified = verifiedKeys.get(keyId);
+  if (verified && verified.keyHash === keyHash && verified.digest === digest && Date.now() < verified.expiresAt) {
+    return true;
+  }
+
+  if (!(await bcrypt.compare(rawKey, keyHash))) {
+    return false;
+  }
+  verifiedKeys.set(keyId, { keyHash, digest, expiresAt: Date.now() + VERIFIED_KEY_TTL_MS });
+  return true;
+}
+
+/**
+ * Verify a raw API key
+ * Resolves to the key's identity for req.user, or null if the key is unknown, revoked or expired.
+ */
+export async function verifyApiKey(rawKey) {
+  const parsed = parseRawKey(rawKey);
+  if (!parsed) {
+    return null;
+  }
+
+  const docRef = getKeysCollection().doc(parsed.keyId);
+  const doc = await docRef.get();
+  if (!doc.exists) {
+    return null;
+  }
+
+  const data = doc.data();
+  if (getKeyStatus(data) !== 'active') {
+    return null;
+  }
+
+  if (!(await matchesKeyHash(doc.id, rawKey, data.keyHash))) {
+    return null;
+  }
+
+  // Track usage without slowing down the request; one write per minute is enough
+  if (!data.lastUsedAt || Date.now() - data.lastUsedAt.toMillis() > LAST_USED_RESOLUTION_MS) {
+    docRef.update({ lastUsedAt: Timestamp.now() }).catch(error => {
+      authLogger.warn(`Failed to record API key usage for ${doc.id}:`, error.message);
+    });
+  }
+
+  return {
+    uid: `apikey:${doc.id}`,
+    apiKeyId: doc.id,
+    name: data.name,
+    scopes: data.scopes,
+    authType: 'api-key'
+  };
+}
@@ -0,0 +1,304 @@
+import { createError } from '../middleware/errorHandler.js';
+import { isReservedCollection, isSoftDeleteCollection, isVersionedCollection } from '../config/collections.js';
+import { assertCollectionAccess, assertWritableFields, hasRedactedFields, preserveRedactedFields } from './accessPolicy.js';
+import { trashInTransaction } from './trash.js';
+import { readVersionCounters, recordVersion } from './versions.js';
+import { getETag, getPreconditionArgs, matchesVersion, parseIfMatch } from '../utils/etag.js';
+import { prepareWriteData } from '../utils/fieldValues.js';
+import { isCollectionPath } from '../utils/firestorePaths.js';
+
+export const BATCH_OPERATION_TYPES = ['set', 'update', 'delete'];
+
+/**
+ * Firestore's limit on writes in one atomic batch
+ */
+export const MAX_ATOMIC_OPERATIONS = 500;
+
+/**
+ * Largest batch request accepted; non-atomic batches are streamed through a BulkWriter
+ */
+export const MAX_BATCH_OPERATIONS = parseInt(process.env.BATCH_MAX_OPERATIONS) || 10000;
+
+/**
+ * Writes of a non-atomic batch that need a transaction run one transaction each, this many at a time
+ */
+const TRANSACTION_CONCURRENCY = 20;
+
+/**
+ * Error codes for the gRPC statuses a single write can fail with
+ */
+const GRPC_ERROR_CODES = {
+  5: 'document-not-found',
+  6: 'document-already-exists',
+  7: 'permission-denied',
+  9: 'precondition-failed'
+};
+
+/**
+ * Describe why a single write failed, for per-operation results
+ */
+export function describeWriteError(error) {
+  if (error.isOperational) {
+    return { code: error.code, message: error.message, ...(error.details && { details: error.details }) };
+  }
+  return { code: GRPC_ERROR_CODES[error.code] || 'write-failed', message: error.message };
+}
+
+/**
+ * Validate one operation and turn it into a Firestore-ready write
+ */
+function prepareOperation(operation, user, validateWrite) {
+  const { type, collection, documentId, ifMatch } = operation || {};
+
+  if (!BATCH_OPERATION_TYPES.includes(type)) {
+    throw createError(`Operation type must be one of: ${BATCH_OPERATION_TYPES.join(', ')}`, 400, 'invalid-operation');
+  }
+  if (!isCollectionPath(collection)) {
+    throw createError(`Invalid collection path: ${collection}`, 400, 'invalid-collection-path');
+  }
+  if (isReservedCollection(collection)) {
+    throw createError(`Collection ${collection} is reserved`, 403, 'reserved-collection');
+  }
+  if (typeof documentId !== 'string' || !documentId || documentId.includes('/')) {
+    throw createError('Document ID must be a non-empty string without slashes', 400, 'invalid-operation');
+  }
+
+  const expectedVersion = parseIfMatch(ifMatch);
+  if (type === 'set' && expectedVersion) {
+    throw createError('ifMatch is only supported for update and delete operations', 400, 'invalid-etag');
+  }
+
+  if (type === 'delete') {
+    assertCollectionAccess(user, collection, 'delete');
+    return { type, collection, documentId, expectedVersion, softDelete: isSoftDeleteCollection(collection) };
+  }
+
+  if (!operation.data || typeof operation.data !== 'object' || Array.isArray(operation.data)) {
+    throw createError(`Data is required for ${type} operation`, 400, 'missing-data');
+  }
+  assertCollectionAccess(user, collection, 'write');
+  // Redacted fields in a replacement are restored from the stored document (see preserveRedactedSetFields)
+  if (type === 'update') {
+    assertWritableFields(user, collection, operation.data);
+  }
+  validateWrite(collection, operation.data, { mode: type });
+
+  return {
+    type,
+    collection,
+    documentId,
+    expectedVersion,
+    data: prepareWriteData(operation.data, { mode: type, collection })
+  };
+}
+
+/**
+ * Validate every operation independently
+ * `validateWrite` checks data against collection schemas (see createWriteValidator).
+ * Returns one entry per operation with either a prepared `write` or a `result` describing why it was rejected.
+ */
+export function prepareBatchOperations(operations, user, validateWrite) {
+  return operations.map((operation, index) => {
+    const base = {
+      index,
+      type: operation?.type,
+      collection: operation?.collection,
+      documentId: operation?.documentId
+    };
+
+    try {
+      return { ...base, write: prepareOperation(operation, user, validateWrite) };
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      return { ...base, result: { ...base, status: 'failed', error: describeWriteError(error) } };
+    }
+  });
+}
+
+/**
+ * Keep fields the user only sees redacted when a `set` replaces an existing document,
+ * as PUT does, so writing back a redacted view does not erase them.
+ * Targets are read just before writing.
+ */
+export async function preserveRedactedSetFields(db, entries, user) {
+  const targets = entries.filter(({ write }) => write?.type === 'set' && hasRedactedFields(user, write.collection));
+
+  for (let start = 0; start < targets.length; start += MAX_ATOMIC_OPERATIONS) {
+    const chunk = targets.slice(start, start + MAX_ATOMIC_OPERATIONS);
+    const snapshots = await db.getAll(
+      ...chunk.map(({ write }) => db.collection(write.collection).doc(write.documentId))
+    );
+
+    chunk.forEach(({ write }, position) => {
+      if (snapshots[position].exists) {
+        write.data = preserveRedactedFields(user, write.collection, write.data, snapshots[position].data());
+      }
+    });
+  }
+}
+
+function toResult(entry, status, error, trashId) {
+  const { index, type, collection, documentId } = entry;
+  return { index, type, collection, documentId, status, ...(error && { error }), ...(trashId && { trashId }) };
+}
+
+/**
+ * Check prepared writes against the database without writing:
+ * update targets must exist and ifMatch versions must still match.
+ */
+export async function dryRunBatch(db, entries) {
+  const results = entries.map(entry => entry.result || toResult(entry, 'valid'));
+  const checks = entries.filter(entry => entry.write && (entry.write.type === 'update' || entry.write.expectedVersion));
+
+  for (let start = 0; start < checks.length; start += MAX_ATOMIC_OPERATIONS) {
+    const chunk = checks.slice(start, start + MAX_ATOMIC_OPERATIONS);
+    const snapshots = await db.getAll(
+      ...chunk.map(({ write }) => db.collection(write.collection).doc(write.documentId))
+    );
+
+    chunk.forEach((entry, position) => {
+      const snapshot = snapshots[position];
+      if (!snapshot.exists && entry.write.type === 'update') {
+        results[entry.index] = toResult(entry, 'failed', { code: 'document-not-found', message: 'Document to update does not exist' });
+      } else if (!matchesVersion(snapshot, entry.write.expectedVersion)) {
+        results[entry.index] = toResult(entry, 'failed', {
+          code: 'precondition-failed',
+          message: 'Document was modified since it was read',
+          details: { etag: getETag(snapshot) }
+        });
+      }
+    });
+  }
+
+  return results;
+}
+
+function queueWrite(writer, db, write) {
+  const docRef = db.collection(write.collection).doc(write.documentId);
+  const precondition = getPreconditionArgs(write.expectedVersion);
+
+  switch (write.type) {
+    case 'set':
+      return writer.set(docRef, write.data);
+    case 'update':
+      return writer.update(docRef, write.data, ...precondition);
+    default:
+      return writer.delete(docRef, ...precondition);
+  }
+}
+
+/**
+ * Check whether a prepared write has to run in a transaction: soft deletes copy the
+ * document they remove and writes to versioned collections record their version.
+ */
+function needsTransaction(write) {
+  return write.softDelete || isVersionedCollection(write.collection);
+}
+
+/**
+ * Commit prepared writes in one transaction, returning the trash entry ID of each soft delete
+ */
+function commitInTransaction(db, entries, user) {
+  return db.runTransaction(async (transaction) => {
+    const paths = entries.map(({ write }) => `${write.collection}/${write.documentId}`);
+    const readIndexes = entries
+      .map(({ write }, index) => (needsTransaction(write) ? index : -1))
+      .filter(index => index >= 0);
+    const snapshots = readIndexes.length > 0
+      ? await transaction.getAll(...readIndexes.map(index => db.doc(paths[index])))
+      : [];
+    const snapshotsByIndex = new Map(readIndexes.map((index, position) => [index, snapshots[position]]));
+    const counters = await readVersionCounters(db, transaction, paths);
+
+    return entries.map(({ write }, index) => {
+      const snapshot = snapshotsByIndex.get(index) || null;
+      let trashId = null;
+      if (write.softDelete && snapshot?.exists) {
+        if (!matchesVersion(snapshot, write.expectedVersion)) {
+          throw createError('Document was modified since it was read', 412, 'precondition-failed', { etag: getETag(snapshot) });
+        }
+        trashId = trashInTransaction(db, transaction, snapshot, user);
+      } else {
+        queueWrite(transaction, db, write);
+      }
+
+      recordVersion(db, transaction, counters, {
+        path: paths[index],
+        operation: write.type,
+        actor: user,
+        before: snapshot,
+        write: { type: write.type, data: write.data }
+      });
+      return trashId;
+    });
+  });
+}
+
+/**
+ * Commit prepared writes all-or-nothing, returning the trash entry ID of each soft delete
+ */
+async function commitAtomically(db, entries, user) {
+  if (entries.some(({ write }) => needsTransaction(write))) {
+    return commitInTransaction(db, entries, user);
+  }
+
+  const batch = db.batch();
+  entries.forEach(({ write }) => queueWrite(batch, db, write));
+  await batch.commit();
+  return entries.map(() => null);
+}
+
+/**
+ * Commit all valid writes in one atomic batch (at most MAX_ATOMIC_OPERATIONS)
+ * Nothing is written if any operation is invalid or a version check fails.
+ * Deletes in soft-delete collections move the documents to the trash, deleted by `user`.
+ */
+export async function runAtomicBatch(db, entries, user) {
+  if (entries.some(entry => entry.result)) {
+    return entries.map(entry => entry.result || toResult(entry, 'skipped'));
+  }
+
+  let trashIds;
+  try {
+    trashIds = await commitAtomically(db, entries, user);
+  } catch (error) {
+    // The batch does not say which operation failed; find out by checking targets and versions
+    const results = await dryRunBatch(db, entries);
+    if (!results.some(result => result.status === 'failed')) {
+      throw error;
+    }
+    return results.map((result, index) => (result.status === 'valid' ? toResult(entries[index], 'skipped') : result));
+  }
+
+  return entries.map((entry, index) => toResult(entry, 'committed', null, trashIds[index]));
+}
+
+/**
+ * Write every valid operation through a BulkWriter, which batches, throttles and retries them
+ * Each operation succeeds or fails on its own. Deletes in soft-delete collections (moved to
+ * the trash, deleted by `user`) and writes to versioned collections run as one transaction each instead.
+ */
+export async function runBulkWrite(db, entries, user) {
+  const writer = db.bulkWriter();
+  const results = entries.map(entry => entry.result || null);
+  const settle = (entry, write) => write.then(
+    trashId => { results[entry.index] = toResult(entry, 'committed', null, trashId); },
+    error => { results[entry.index] = toResult(entry, 'failed', describeWriteError(error)); }
+  );
+
+  const pending = entries
+    .filter(entry => entry.write && !needsTransaction(entry.write))
+    .map(entry => settle(entry, queueWrite(writer, db, entry.write).then(() => null)));
+
+  const transactional = entries.filter(entry => entry.write && needsTransaction(entry.write));
+  for (let start = 0; start < transactional.length; start += TRANSACTION_CONCURRENCY) {
+    await Promise.all(transactional
+      .slice(start, start + TRANSACTION_CONCURRENCY)
+      .map(entry => settle(entry, commitInTransaction(db, [entry], user).then(([trashId]) => trashId))));
+  }
+
+  await writer.close();
+  await Promise.all(pending);
+
+  return results;
+}
@@ -0,0 +1,97 @@
+import { dbLogger } from '../utils/logger.js';
+import { getParentPath } from '../utils/firestorePaths.js';
+
+/**
+ * Hooks run after a document is written through the API
+ *
+ * A hook is `{ name, matches(collectionPath), handle(change) }`. `change` holds the
+ * document `path` and `collection`, the `operation`, the `actor` and the `before` /
+ * `after` data (null where the document did not exist). Hooks run once the write has
+ * committed, so a failing hook is logged instead of failing the request.
+ */
+const hooks = [];
+
+const READ_CHUNK_SIZE = 500;
+
+/**
+ * Register a hook for document writes
+ */
+export function registerDocumentHook(hook) {
+  hooks.push(hook);
+}
+
+/**
+ * Check whether any hook wants writes to a collection
+ * Callers use this to skip reading `before` snapshots nobody needs.
+ */
+export function hasDocumentHooks(collectionPath) {
+  return hooks.some(hook => hook.matches(collectionPath));
+}
+
+/**
+ * Run the hooks for one write
+ * `before` and `after` are document snapshots (or null).
+ */
+export async function notifyDocumentWrite({ path, operation, actor, before, after }) {
+  const collection = getParentPath(path);
+  const matching = hooks.filter(hook => hook.matches(collection));
+  if (matching.length === 0) {
+    return;
+  }
+
+  const change = {
+    path,
+    collection,
+    operation,
+    actor,
+    before: before?.exists ? before.data() : null,
+    after: after?.exists ? after.data() : null
+  };
+
+  for (const hook of matching) {
+    try {
+      await hook.handle(change);
+    } catch (error) {
+      dbLogger.error(`Document hook ${hook.name} failed for ${path}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Read the documents hooks are interested in, keyed by path
+ * Used to capture `before` snapshots ahead of writes that do not read them anyway.
+ * Pass a transaction to read inside it.
+ */
+export async function getHookedSnapshots(db, paths, transaction = null) {
+  const hookedPaths = [...new Set(paths)].filter(path => hasDocumentHooks(getParentPath(path)));
+  const snapshots = new Map();
+
+  for (let start = 0; start < hookedPaths.length; start += READ_CHUNK_SIZE) {
+    const refs = hookedPaths.slice(start, start + READ_CHUNK_SIZE).map(path => db.doc(path));
+    const chunk = transaction ? await transaction.getAll(...refs) : await db.getAll(...refs);
+    chunk.forEach(snapshot => snapshots.set(snapshot.ref.path, snapshot));
+  }
+  return snapshots;
+}
+
+/**
+ * Run the hooks for several committed writes, reading the documents' new state
+ * `writes` are `{ path, operation }`; `beforeSnapshots` comes from getHookedSnapshots.
+ */
+export async function notifyDocumentWrites(db, writes, beforeSnapshots, actor) {
+  const afterSnapshots = await getHookedSnapshots(db, writes.map(write => write.path));
+
+  for (const { path, operation } of writes) {
+    if (afterSnapshots.has(path)) {
+      await notifyDocumentWrite({
+        path,
+        operation,
+        actor,
+        before: beforeSnapshots.get(path) || null,
+        after: afterSnapshots.get(path)
+      });
+    }
+  }
+}
+
+export default notifyDocumentWrite;
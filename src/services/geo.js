@@ -0,0 +1,140 @@
+import { GeoPoint } from 'firebase-admin/firestore';
+import { getGeoIndexConfig } from '../config/collections.js';
+import { createError } from '../middleware/errorHandler.js';
+import { dbLogger } from '../utils/logger.js';
+import {
+  boundingBoxForRadius,
+  distanceBetween,
+  encodeGeohash,
+  geohashRangesForBoundingBox,
+  isInBoundingBox
+} from '../utils/geohash.js';
+import { describeWriteError } from './batchWriter.js';
+import { iterateCollection } from './exporter.js';
+import { startJob } from './jobs.js';
+
+/**
+ * Geospatial queries over the collections in GEO_INDEXES
+ *
+ * A radius or bounding box is covered by a few geohash range queries; documents in
+ * those ranges that fall outside the area are dropped and the rest are sorted by distance.
+ */
+
+/**
+ * Documents read per geohash range at most; results are marked truncated beyond that
+ */
+export const GEO_SCAN_LIMIT = 2000;
+
+const BACKFILL_CHUNK_SIZE = 500;
+
+/**
+ * Get the geo index of a collection, throwing 400 if it has none
+ */
+export function assertGeoIndexed(collectionPath) {
+  const config = getGeoIndexConfig(collectionPath);
+  if (!config) {
+    throw createError(`Collection ${collectionPath} has no geo index`, 400, 'geo-not-configured');
+  }
+  return config;
+}
+
+function getPoint(snapshot, field) {
+  const value = snapshot.get(field);
+  return value instanceof GeoPoint ? [value.latitude, value.longitude] : null;
+}
+
+/**
+ * Find documents within `radius` meters of `center` or inside `bbox`, nearest first
+ * `center` is `[lat, lng]` and `bbox` is `[minLat, minLng, maxLat, maxLng]`; for a box,
+ * distances are measured from its center. Returns the nearest `limit` results as
+ * `{ snapshot, distance }` with the number of matches and whether a range hit GEO_SCAN_LIMIT.
+ */
+export async function queryGeo(db, collectionPath, { center, radius, bbox, limit = 100 }) {
+  const { field, geohashField } = assertGeoIndexed(collectionPath);
+
+  const area = bbox || boundingBoxForRadius(center, radius);
+  const origin = center || [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+  const contains = center
+    ? point => distanceBetween(center, point) <= radius
+    : point => isInBoundingBox(point, bbox);
+
+  const ranges = geohashRangesForBoundingBox(area);
+  const snapshots = await Promise.all(ranges.map(([start, end]) => db.collection(collectionPath)
+    .orderBy(geohashField)
+    .startAt(start)
+    .endAt(end)
+    .limit(GEO_SCAN_LIMIT)
+    .get()));
+
+  const results = [];
+  const seen = new Set();
+  for (const snapshot of snapshots) {
+    for (const doc of snapshot.docs) {
+      const point = getPoint(doc, field);
+      if (!point || seen.has(doc.id) || !contains(point)) {
+        continue;
+      }
+      seen.add(doc.id);
+      results.push({ snapshot: doc, distance: distanceBetween(origin, point) });
+    }
+  }
+  results.sort((a, b) => a.distance - b.distance);
+
+  return {
+    results: results.slice(0, limit),
+    total: results.length,
+    scanned: snapshots.reduce((count, snapshot) => count + snapshot.size, 0),
+    ranges: ranges.length,
+    truncated: snapshots.some(snapshot => snapshot.size === GEO_SCAN_LIMIT)
+  };
+}
+
+/**
+ * Compute missing or outdated geohashes of a collection as a background job
+ * Documents are only written when their stored geohash differs; `updatedAt` is left alone.
+ */
+export function startGeoBackfill(io, db, { collectionPath, user }) {
+  const { field, geohashField } = assertGeoIndexed(collectionPath);
+
+  return startJob(io, { type: 'geo-backfill', params: { collection: collectionPath, field }, user }, async (reportProgress, job) => {
+    const counts = { scanned: 0, updated: 0, failed: 0 };
+    const writer = db.bulkWriter();
+    const pending = [];
+
+    try {
+      for await (const doc of iterateCollection(db, collectionPath)) {
+        counts.scanned += 1;
+
+        const point = getPoint(doc, field);
+        const geohash = point ? encodeGeohash(...point) : null;
+        if ((doc.get(geohashField) ?? null) !== geohash) {
+          pending.push(writer.update(doc.ref, { [geohashField]: geohash }).then(
+            () => { counts.updated += 1; },
+            error => {
+              counts.failed += 1;
+              job.errors.push({ documentId: doc.id, ...describeWriteError(error) });
+            }
+          ));
+        }
+        if (pending.length >= BACKFILL_CHUNK_SIZE) {
+          await writer.flush();
+          await Promise.all(pending.splice(0));
+        }
+        reportProgress(counts);
+      }
+      await writer.flush();
+      await Promise.all(pending);
+    } finally {
+      await writer.close();
+    }
+
+    reportProgress(counts);
+    dbLogger.info(`Backfilled geohashes of ${counts.updated} documents in collection ${collectionPath}`, counts);
+    return {
+      ...counts,
+      errorReport: counts.failed > 0 ? `/api/v1/firestore/jobs/${job.id}/errors` : null
+    };
+  });
+}
+
+export default queryGeo;
@@ -0,0 +1,434 @@
+import { GeoPoint, Timestamp } from 'firebase-admin/firestore';
+import { isVersionedCollection } from '../config/collections.js';
+import { createError } from '../middleware/errorHandler.js';
+import { dbLogger } from '../utils/logger.js';
+import { parseCsv, formatCsvRow, unguardFormula } from '../utils/csv.js';
+import { prepareWriteData } from '../utils/fieldValues.js';
+import { decodeTypedJson } from '../utils/typedJson.js';
+import { assertWritableFields, preserveRedactedFields } from './accessPolicy.js';
+import { describeWriteError } from './batchWriter.js';
+import { getHookedSnapshots, notifyDocumentWrites } from './documentHooks.js';
+import { startJob } from './jobs.js';
+import { createWriteValidator } from './schemas.js';
+import { readVersionCounters, recordVersion } from './versions.js';
+
+/**
+ * Bulk document imports from NDJSON, JSON or CSV files
+ *
+ * Rows become documents through an optional column mapping with type coercion and
+ * are written with a BulkWriter in chunks. Rows that cannot be converted or written
+ * are collected in the job's error report instead of stopping the import.
+ */
+
+export const IMPORT_FORMATS = ['ndjson', 'json', 'csv'];
+
+/**
+ * create-only fails rows whose document exists, upsert merges into existing
+ * documents and replace overwrites them
+ */
+export const IMPORT_MODES = ['create-only', 'upsert', 'replace'];
+
+export const COERCION_TYPES = ['string', 'number', 'integer', 'boolean', 'timestamp', 'geopoint', 'json'];
+
+const IMPORT_CHUNK_SIZE = 500;
+const VERSIONED_WRITE_CONCURRENCY = 20;
+const MAX_REPORTED_ERRORS = 10000;
+
+const FILE_EXTENSIONS = {
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+  json: 'json',
+  csv: 'csv'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Pick the import format from the request or the uploaded file name
+ */
+export function detectImportFormat(format, filename) {
+  const detected = format || FILE_EXTENSIONS[String(filename).split('.').pop().toLowerCase()];
+  if (!IMPORT_FORMATS.includes(detected)) {
+    throw createError(`Import format must be one of: ${IMPORT_FORMATS.join(', ')}`, 400, 'unsupported-import-format', {
+      filename
+    });
+  }
+  return detected;
+}
+
+/**
+ * Validate a column mapping
+ * `{ "Name": "name", "Lat": { "field": "location.lat", "type": "number" } }` maps
+ * source columns (dot paths for JSON records) to document fields.
+ */
+export function parseMapping(mapping) {
+  if (mapping === undefined || mapping === null) {
+    return null;
+  }
+
+  const invalid = (message) => createError(`Invalid mapping: ${message}`, 400, 'invalid-mapping', { mapping });
+  if (!isPlainObject(mapping) || Object.keys(mapping).length === 0) {
+    throw invalid('expected an object of column to field entries');
+  }
+
+  return Object.entries(mapping).map(([column, target]) => {
+    const { field, type = 'string' } = typeof target === 'string' ? { field: target, type: undefined } : target || {};
+    if (typeof field !== 'string' || !field) {
+      throw invalid(`column '${column}' needs a target field`);
+    }
+    if (!COERCION_TYPES.includes(type)) {
+      throw invalid(`column '${column}' has unknown type '${type}', expected one of: ${COERCION_TYPES.join(', ')}`);
+    }
+    return { column, field, type };
+  });
+}
+
+function rowError(code, message, details) {
+  return createError(message, 400, code, details);
+}
+
+/**
+ * Convert a source value to the mapped type
+ */
+function coerceValue(value, type, column) {
+  const fail = () => rowError('invalid-value', `Column '${column}' is not a valid ${type}: ${JSON.stringify(value)}`, { column });
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const number = typeof text === 'number' ? text : Number(text);
+      if (text === '' || !Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+        throw fail();
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof text === 'boolean') return text;
+      if (['true', '1', 'yes'].includes(String(text).toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(String(text).toLowerCase())) return false;
+      throw fail();
+    case 'timestamp': {
+      const date = new Date(typeof text === 'string' && /^\d+$/.test(text) ? Number(text) : text);
+      if (Number.isNaN(date.getTime())) {
+        throw fail();
+      }
+      return Timestamp.fromDate(date);
+    }
+    case 'geopoint': {
+      const [latitude, longitude] = isPlainObject(text)
+        ? [text.latitude, text.longitude]
+        : String(text).split(',').map(Number);
+      if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+        throw fail();
+      }
+      return new GeoPoint(latitude, longitude);
+    }
+    case 'json':
+      try {
+        return decodeTypedJson(typeof text === 'string' ? JSON.parse(text) : text);
+      } catch (error) {
+        throw fail();
+      }
+    default:
+      return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+}
+
+function getField(record, path) {
+  if (path in record) {
+    return record[path];
+  }
+  return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), record);
+}
+
+function setField(data, path, value) {
+  const keys = path.split('.');
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    target[key] = isPlainObject(target[key]) ? target[key] : {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Records written by the export endpoint (`{ id, path, data }`) import as their data
+ */
+function unwrapExportRecord(record) {
+  const keys = Object.keys(record);
+  if (isPlainObject(record.data) && typeof record.id === 'string' && keys.every(key => ['id', 'path', 'data'].includes(key))) {
+    return { id: record.id, record: record.data };
+  }
+  return { id: null, record };
+}
+
+/**
+ * Read an uploaded file as `{ row, record }` entries (or `{ row, error }` for unreadable rows)
+ * The file is checked far enough up front that a malformed upload fails the request, not the job.
+ */
+export function readImportFile(buffer, format) {
+  const text = buffer.toString('utf8');
+  const invalidFile = (message) => createError(`Invalid ${format} file: ${message}`, 400, 'invalid-import-file');
+
+  if (format === 'json') {
+    let records;
+    try {
+      records = JSON.parse(text);
+    } catch (error) {
+      throw invalidFile(error.message);
+    }
+    if (!Array.isArray(records)) {
+      throw invalidFile('expected an array of objects');
+    }
+    return records.map((record, index) => (
+      isPlainObject(record)
+        ? { row: index + 1, record }
+        : { row: index + 1, error: rowError('invalid-row', 'Row is not an object') }
+    ));
+  }
+
+  if (format === 'csv') {
+    const rows = parseCsv(text);
+    let header;
+    try {
+      header = rows.next().value;
+    } catch (error) {
+      throw invalidFile(error.message);
+    }
+    if (!header) {
+      throw invalidFile('missing header row');
+    }
+    // Cells guarded against formula injection on export are read back as they were
+    const columns = header.map(unguardFormula);
+    return (function* () {
+      let row = 0;
+      for (const values of rows) {
+        row += 1;
+        yield {
+          row,
+          record: Object.fromEntries(columns.map((column, index) => [column, unguardFormula(values[index] ?? '')]))
+        };
+      }
+    })();
+  }
+
+  return (function* () {
+    let row = 0;
+    for (const line of text.split(/\r?\n/)) {
+      if (!line.trim()) {
+        continue;
+      }
+      row += 1;
+      try {
+        const record = JSON.parse(line);
+        yield isPlainObject(record) ? { row, record } : { row, error: rowError('invalid-row', 'Row is not an object') };
+      } catch (error) {
+        yield { row, error: rowError('invalid-row', `Row is not valid JSON: ${error.message}`) };
+      }
+    }
+  })();
+}
+
+/**
+ * Turn one record into a document ID and data
+ * Without a mapping JSON records are used as they are (typed JSON is decoded when the data is
+ * prepared for writing) and CSV columns become string fields.
+ */
+function buildDocument(sourceRecord, { format, mapping, idColumn }) {
+  const { id: exportedId, record } = format === 'csv' ? { id: null, record: sourceRecord } : unwrapExportRecord(sourceRecord);
+
+  let id = exportedId;
+  if (idColumn) {
+    const value = getField(record, idColumn);
+    id = value === undefined || value === null || value === '' ? null : String(value);
+    if (!id) {
+      throw rowError('invalid-document-id', `Column '${idColumn}' is empty`, { column: idColumn });
+    }
+  } else if (format === 'csv' && record.__path) {
+    // CSV exports start with the document path
+    id = record.__path.split('/').pop();
+  }
+  if (id !== null && (id.includes('/') || Buffer.byteLength(id) > 1500 || id === '.' || id === '..')) {
+    throw rowError('invalid-document-id', `Invalid document ID: ${id}`, { id });
+  }
+
+  const data = {};
+  if (mapping) {
+    for (const { column, field, type } of mapping) {
+      const value = getField(record, column);
+      if (value !== undefined && value !== null && value !== '') {
+        setField(data, field, coerceValue(value, type, column));
+      }
+    }
+  } else if (format === 'csv') {
+    for (const [column, value] of Object.entries(record)) {
+      if (column !== idColumn && column !== '__path' && value !== '') {
+        setField(data, column, value);
+      }
+    }
+  } else {
+    const fields = { ...record };
+    if (idColumn) {
+      delete fields[idColumn];
+    }
+    Object.assign(data, fields);
+  }
+
+  return { id, data };
+}
+
+/**
+ * Turn one row into the write for its mode; `stored` is the target as read before writing
+ * Rows that create a document are stamped with `createdAt` in every mode. Replacing an
+ * existing document keeps the fields `user` only sees redacted, as PUT does.
+ */
+function prepareImportWrite(docRef, data, { mode, stored, user }) {
+  const collection = docRef.parent.path;
+  const create = !stored?.exists;
+  switch (mode) {
+    case 'create-only':
+      return { type: 'create', data: prepareWriteData(data, { create: true, collection }) };
+    case 'upsert':
+      return { type: 'merge', data: prepareWriteData(data, { create, collection }) };
+    default: {
+      const writeData = prepareWriteData(data, { create, collection });
+      return { type: 'set', data: create ? writeData : preserveRedactedFields(user, collection, writeData, stored.data()) };
+    }
+  }
+}
+
+/**
+ * Queue a prepared write on a BulkWriter or transaction
+ */
+function queueImportWrite(writer, docRef, { type, data }) {
+  switch (type) {
+    case 'create':
+      return writer.create(docRef, data);
+    case 'merge':
+      return writer.set(docRef, data, { merge: true });
+    default:
+      return writer.set(docRef, data);
+  }
+}
+
+/**
+ * Import the rows of a file into a collection as a background job
+ */
+export function startImport(io, db, { collectionPath, entries, format, mode, mapping, idColumn, user }) {
+  const params = { collection: collectionPath, format, mode, idColumn: idColumn || null };
+
+  return startJob(io, { type: 'import', params, user }, async (reportProgress, job) => {
+    const counts = { processed: 0, written: 0, failed: 0 };
+    const fail = (row, id, error) => {
+      counts.failed += 1;
+      if (job.errors.length < MAX_REPORTED_ERRORS) {
+        job.errors.push({ row, documentId: id || null, ...describeWriteError(error) });
+      }
+    };
+
+    const validateWrite = await createWriteValidator(db);
+    const writer = db.bulkWriter();
+    const collection = db.collection(collectionPath);
+
+    const versioned = isVersionedCollection(collectionPath);
+
+    // Rows of versioned collections are written one transaction each, with their version entry
+    const writeVersioned = ({ docRef, data }) => db.runTransaction(async (transaction) => {
+      const stored = await transaction.get(docRef);
+      const counters = await readVersionCounters(db, transaction, [docRef.path]);
+      const write = prepareImportWrite(docRef, data, { mode, stored, user });
+
+      queueImportWrite(transaction, docRef, write);
+      recordVersion(db, transaction, counters, { path: docRef.path, operation: 'import', actor: user, before: stored, write });
+    });
+
+    const writeChunk = async (chunk) => {
+      const beforeSnapshots = await getHookedSnapshots(db, chunk.map(({ docRef }) => docRef.path));
+      const written = [];
+      const settle = ({ row, docRef }, write) => write.then(
+        () => {
+          counts.written += 1;
+          written.push({ path: docRef.path, operation: 'import' });
+        },
+        error => fail(row, docRef.id, error)
+      );
+
+      if (versioned) {
+        for (let start = 0; start < chunk.length; start += VERSIONED_WRITE_CONCURRENCY) {
+          await Promise.all(chunk
+            .slice(start, start + VERSIONED_WRITE_CONCURRENCY)
+            .map(item => settle(item, writeVersioned(item))));
+        }
+      } else {
+        const storedSnapshots = mode !== 'create-only'
+          ? await db.getAll(...chunk.map(({ docRef }) => docRef))
+          : [];
+        const pending = chunk.map((item, index) => settle(item, queueImportWrite(writer, item.docRef, prepareImportWrite(item.docRef, item.data, {
+          mode,
+          stored: storedSnapshots[index],
+          user
+        }))));
+        await writer.flush();
+        await Promise.all(pending);
+      }
+
+      await notifyDocumentWrites(db, written, beforeSnapshots, user);
+      reportProgress(counts);
+    };
+
+    let chunk = [];
+    try {
+      for (const entry of entries) {
+        counts.processed += 1;
+        try {
+          if (entry.error) {
+            throw entry.error;
+          }
+          const { id, data } = buildDocument(entry.record, { format, mapping, idColumn });
+          if (mode !== 'replace') {
+            assertWritableFields(user, collectionPath, data);
+          }
+          validateWrite(collectionPath, data, { mode: mode === 'upsert' ? 'merge' : 'set' });
+          chunk.push({ row: entry.row, docRef: id ? collection.doc(id) : collection.doc(), data });
+        } catch (error) {
+          fail(entry.row, null, error);
+        }
+
+        if (chunk.length >= IMPORT_CHUNK_SIZE) {
+          await writeChunk(chunk);
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) {
+        await writeChunk(chunk);
+      }
+    } finally {
+      await writer.close();
+    }
+
+    reportProgress(counts);
+    dbLogger.info(`Imported ${counts.written} of ${counts.processed} rows into collection ${collectionPath}`, { mode, failed: counts.failed });
+
+    return {
+      ...counts,
+      errorReport: counts.failed > 0 ? `/api/v1/firestore/jobs/${job.id}/errors` : null,
+      errorReportTruncated: counts.failed > MAX_REPORTED_ERRORS
+    };
+  });
+}
+
+/**
+ * Format a job's error report as CSV or NDJSON
+ */
+export function formatErrorReport(errors, format) {
+  if (format === 'ndjson') {
+    return errors.map(error => `${JSON.stringify(error)}\n`).join('');
+  }
+  return formatCsvRow(['row', 'documentId', 'code', 'message', 'details']) +
+    errors.map(({ row, documentId, code, message, details }) => formatCsvRow([row, documentId, code, message, details])).join('');
+}
+
+export default startImport;
@@ -0,0 +1,123 @@
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { getPolicyRole } from './accessPolicy.js';
+import { emitJobEvent } from './realtime.js';
+
+/**
+ * Background jobs for long-running operations
+ *
+ * Jobs live in memory on the instance that started them. Progress is pushed to the
+ * job's Socket.io room (`job-progress`, then `job-completed` or `job-failed`) and can
+ * be polled through GET /firestore/jobs/:jobId. Finished jobs are kept for an hour.
+ */
+
+const jobs = new Map();
+
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const PROGRESS_INTERVAL_MS = 500;
+
+/**
+ * Format a job for API responses and socket events
+ */
+export function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    params: job.params,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt.toISOString(),
+    finishedAt: job.finishedAt?.toISOString() || null
+  };
+}
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Start a job in the background and return it right away
+ *
+ * `run(reportProgress, job)` does the work; `reportProgress(progress)` merges
+ * counters into `job.progress` and emits them at most twice a second. Whatever
+ * `run` resolves with becomes the job result. Per-item failures can be pushed to
+ * `job.errors`, which is kept out of job responses and served as a report instead.
+ */
+export function startJob(io, { type, params, user }, run) {
+  pruneFinishedJobs();
+
+  const job = {
+    id: randomUUID(),
+    type,
+    params,
+    status: 'running',
+    progress: {},
+    result: null,
+    error: null,
+    errors: [],
+    createdBy: user.uid,
+    createdAt: new Date(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  let lastEmit = 0;
+  const reportProgress = (progress) => {
+    Object.assign(job.progress, progress);
+    if (Date.now() - lastEmit >= PROGRESS_INTERVAL_MS) {
+      lastEmit = Date.now();
+      emitJobEvent(io, 'job-progress', formatJob(job));
+    }
+  };
+
+  setImmediate(async () => {
+    try {
+      job.result = await run(reportProgress, job);
+      job.status = 'completed';
+    } catch (error) {
+      logger.error(`Job ${job.id} (${type}) failed:`, error.message);
+      job.status = 'failed';
+      job.error = { code: error.code || 'job-failed', message: error.message };
+    }
+
+    job.finishedAt = new Date();
+    emitJobEvent(io, job.status === 'completed' ? 'job-completed' : 'job-failed', formatJob(job));
+  });
+
+  logger.info(`Started job ${job.id} (${type})`, { createdBy: job.createdBy });
+  return formatJob(job);
+}
+
+/**
+ * Check whether a user may see a job: its creator and owners can
+ */
+export function canAccessJob(user, job) {
+  return job.createdBy === user?.uid || getPolicyRole(user) === 'owner';
+}
+
+/**
+ * Get a job by ID, or null if it does not exist (or has been pruned)
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * List the jobs a user may see, newest first
+ */
+export function listJobs(user) {
+  pruneFinishedJobs();
+  return [...jobs.values()]
+    .filter(job => canAccessJob(user, job))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export default startJob;
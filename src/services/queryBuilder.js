@@ -0,0 +1,290 @@
+import { FieldPath, Filter } from 'firebase-admin/firestore';
+import { isReservedCollection } from '../config/collections.js';
+import { createError } from '../middleware/errorHandler.js';
+import { decodeCursor, encodeCursor, getQueryFingerprint } from '../utils/cursor.js';
+import { decodeTypedJson } from '../utils/typedJson.js';
+
+export const QUERY_OPERATORS = ['<', '<=', '==', '!=', '>=', '>', 'array-contains', 'in', 'not-in', 'array-contains-any'];
+
+/**
+ * Operators that take an array of values, with Firestore's maximum array length
+ */
+const ARRAY_OPERATORS = { 'in': 30, 'not-in': 10, 'array-contains-any': 30 };
+
+const GROUP_OPERATORS = ['and', 'or'];
+
+const ORDER_DIRECTIONS = ['asc', 'desc'];
+
+function invalidCondition(message, path, condition) {
+  return createError(`Invalid condition at ${path}: ${message}`, 400, 'invalid-query', { path, condition });
+}
+
+/**
+ * Validate a `[field, operator, value]` triple and turn it into a field filter
+ */
+function parseFieldCondition(condition, path) {
+  const [field, operator, encodedValue] = condition;
+
+  if (condition.length !== 3) {
+    throw invalidCondition('expected [field, operator, value]', path, condition);
+  }
+  if (typeof field !== 'string' || field.length === 0) {
+    throw invalidCondition('field must be a non-empty string', path, condition);
+  }
+  if (!QUERY_OPERATORS.includes(operator)) {
+    throw invalidCondition(`unknown operator '${operator}', expected one of: ${QUERY_OPERATORS.join(', ')}`, path, condition);
+  }
+
+  let value;
+  try {
+    value = decodeTypedJson(encodedValue);
+  } catch (error) {
+    throw invalidCondition(error.message, path, condition);
+  }
+
+  if (operator in ARRAY_OPERATORS) {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw invalidCondition(`'${operator}' requires a non-empty array of values`, path, condition);
+    }
+    if (value.length > ARRAY_OPERATORS[operator]) {
+      throw invalidCondition(`'${operator}' accepts at most ${ARRAY_OPERATORS[operator]} values`, path, condition);
+    }
+  } else if (operator === 'array-contains' && Array.isArray(value)) {
+    throw invalidCondition(`'array-contains' takes a single value; use 'array-contains-any' for several`, path, condition);
+  } else if ((value === null || Number.isNaN(value)) && operator !== '==' && operator !== '!=') {
+    throw invalidCondition(`${value} can only be compared with '==' or '!='`, path, condition);
+  }
+
+  return Filter.where(field, operator, value);
+}
+
+/**
+ * Turn a condition into a Firestore filter
+ * A condition is a `[field, operator, value]` triple or a `{ and: [...] }` / `{ or: [...] }` group.
+ */
+function parseCondition(condition, path) {
+  if (Array.isArray(condition)) {
+    return parseFieldCondition(condition, path);
+  }
+
+  if (condition === null || typeof condition !== 'object') {
+    throw invalidCondition('expected [field, operator, value] or an { and } / { or } group', path, condition);
+  }
+
+  const keys = Object.keys(condition);
+  if (keys.length !== 1 || !GROUP_OPERATORS.includes(keys[0])) {
+    throw invalidCondition('a group must have exactly one "and" or "or" key', path, condition);
+  }
+
+  const [group] = keys;
+  if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+    throw invalidCondition(`"${group}" must be a non-empty array of conditions`, path, condition);
+  }
+
+  const filters = condition[group].map((child, index) => parseCondition(child, `${path}.${group}[${index}]`));
+  if (filters.length === 1) {
+    return filters[0];
+  }
+  return group === 'and' ? Filter.and(...filters) : Filter.or(...filters);
+}
+
+/**
+ * Validate a conditions array (AND-ed together) and combine it into one filter, or null when empty
+ */
+export function parseConditions(conditions = []) {
+  if (!Array.isArray(conditions)) {
+    throw invalidCondition('conditions must be an array', 'conditions', conditions);
+  }
+
+  const filters = conditions.map((condition, index) => parseCondition(condition, `conditions[${index}]`));
+  if (filters.length === 0) {
+    return null;
+  }
+  return filters.length === 1 ? filters[0] : Filter.and(...filters);
+}
+
+/**
+ * Field paths filtered on by a conditions array, including those inside and/or groups
+ * Results of range and equality filters reveal field values, so these must be fields the caller can read.
+ */
+export function getConditionFields(conditions = []) {
+  if (!Array.isArray(conditions)) {
+    return [];
+  }
+
+  return conditions.flatMap(condition => {
+    if (Array.isArray(condition)) {
+      return typeof condition[0] === 'string' ? [condition[0]] : [];
+    }
+    if (condition !== null && typeof condition === 'object') {
+      return GROUP_OPERATORS.flatMap(group => getConditionFields(condition[group]));
+    }
+    return [];
+  });
+}
+
+/**
+ * Build a Firestore query from conditions and `[field, direction]` orderings
+ * Combinations Firestore rejects (e.g. two `not-in` filters) are reported as 400 errors.
+ * With `collectionGroup`, `collectionPath` is a collection ID and every collection with that ID is queried.
+ */
+export function buildQuery(db, collectionPath, { conditions = [], orderBy = [], collectionGroup = false } = {}) {
+  let query = collectionGroup ? db.collectionGroup(collectionPath) : db.collection(collectionPath);
+  const filter = parseConditions(conditions);
+
+  try {
+    if (filter) {
+      query = query.where(filter);
+    }
+
+    orderBy.forEach(([field, direction]) => {
+      query = query.orderBy(field, direction);
+    });
+  } catch (error) {
+    throw createError(`Invalid query: ${error.message}`, 400, 'invalid-query', { conditions, orderBy });
+  }
+
+  return query;
+}
+
+/**
+ * Validate a field projection, given as an array or a comma-separated string
+ */
+export function parseFields(fields) {
+  const list = typeof fields === 'string' ? fields.split(',').map(field => field.trim()) : fields;
+  if (!Array.isArray(list) || list.length === 0 || !list.every(field => typeof field === 'string' && field.length > 0)) {
+    throw createError('Fields must be a non-empty list of field paths', 400, 'invalid-fields', { fields });
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Check whether a value is a `[field]` or `[field, direction]` ordering
+ */
+export function isOrdering(ordering) {
+  return Array.isArray(ordering)
+    && (ordering.length === 1 || ordering.length === 2)
+    && typeof ordering[0] === 'string' && ordering[0].length > 0
+    && (ordering[1] === undefined || ORDER_DIRECTIONS.includes(ordering[1]));
+}
+
+/**
+ * Validate an orderBy array of `[field, direction]` orderings
+ */
+export function parseOrderBy(orderBy = []) {
+  if (!Array.isArray(orderBy) || !orderBy.every(isOrdering)) {
+    throw createError('OrderBy must be a list of [field, direction] pairs with direction asc or desc', 400, 'invalid-order-by', { orderBy });
+  }
+  return orderBy;
+}
+
+/**
+ * Field paths of `[field, direction]` orderings
+ * Cursors carry the raw orderBy values, so these must be fields the caller can read.
+ */
+export function getOrderByFields(orderBy = []) {
+  return orderBy
+    .map(ordering => Array.isArray(ordering) ? ordering[0] : ordering)
+    .filter(field => typeof field === 'string' && field !== '__name__');
+}
+
+/**
+ * Split orderings into field orderings and the direction of the document ID ordering,
+ * which always comes last so every document has a unique cursor position.
+ */
+function normaliseOrderBy(orderBy) {
+  const orderings = orderBy.map(([field, direction = 'asc']) => [field, direction]);
+  const fieldOrderings = orderings.filter(([field]) => field !== '__name__');
+  const idOrdering = orderings.find(([field]) => field === '__name__') || orderings[orderings.length - 1];
+
+  return { fieldOrderings, idDirection: idOrdering ? idOrdering[1] : 'asc' };
+}
+
+/**
+ * Run a query one page at a time with signed cursors
+ *
+ * Pages forward with `startAfter`, or backward with `endBefore` / `limitToLast`.
+ * One extra document is read to tell whether another page exists, so
+ * `hasMore` is exact; it refers to the direction the page was read in.
+ *
+ * Collection group cursors carry the full document path, as documents in different
+ * parents can share an ID. Documents inside reserved collections are left out of the page.
+ *
+ * With `fields`, only those fields are read; orderBy fields are always included
+ * because the page cursors are built from them.
+ */
+export async function runPagedQuery(db, collectionPath, options = {}) {
+  const {
+    conditions = [],
+    orderBy = [],
+    limit = 50,
+    startAfter,
+    endBefore,
+    limitToLast,
+    fields,
+    collectionGroup = false
+  } = options;
+
+  if (startAfter && endBefore) {
+    throw createError('Use either startAfter or endBefore, not both', 400, 'invalid-pagination');
+  }
+
+  const { fieldOrderings: orderings, idDirection } = normaliseOrderBy(orderBy);
+  const fingerprint = getQueryFingerprint({
+    collectionPath,
+    conditions,
+    orderBy: orderings,
+    idDirection,
+    ...(collectionGroup && { collectionGroup })
+  });
+  const backward = Boolean(endBefore) || limitToLast !== undefined;
+  const pageSize = parseInt(limitToLast ?? limit);
+
+  let query = buildQuery(db, collectionPath, { conditions, orderBy: orderings, collectionGroup })
+    .orderBy(FieldPath.documentId(), idDirection);
+
+  if (fields !== undefined) {
+    const projection = new Set([...parseFields(fields), ...orderings.map(([field]) => field)]);
+    try {
+      query = query.select(...projection);
+    } catch (error) {
+      throw createError(`Invalid fields: ${error.message}`, 400, 'invalid-fields', { fields });
+    }
+  }
+
+  const cursor = startAfter || endBefore;
+  if (cursor) {
+    const { path, values } = decodeCursor(cursor, fingerprint);
+    const cursorValues = [...values, collectionGroup ? path : path.split('/').pop()];
+    query = startAfter ? query.startAfter(...cursorValues) : query.endBefore(...cursorValues);
+  }
+
+  query = backward ? query.limitToLast(pageSize + 1) : query.limit(pageSize + 1);
+
+  const snapshot = await query.get();
+  let docs = snapshot.docs;
+  const hasMore = docs.length > pageSize;
+  if (hasMore) {
+    docs = backward ? docs.slice(1) : docs.slice(0, pageSize);
+  }
+
+  const cursorFor = doc => encodeCursor({
+    path: doc.ref.path,
+    values: orderings.map(([field]) => doc.get(field)),
+    fingerprint
+  });
+
+  const first = docs[0];
+  const last = docs[docs.length - 1];
+  const hasNext = backward ? Boolean(endBefore) : hasMore;
+  const hasPrev = backward ? hasMore : Boolean(startAfter);
+
+  return {
+    docs: collectionGroup ? docs.filter(doc => !isReservedCollection(doc.ref.path)) : docs,
+    hasMore,
+    nextCursor: last && hasNext ? cursorFor(last) : null,
+    prevCursor: first && hasPrev ? cursorFor(first) : null
+  };
+}
+
+export default runPagedQuery;
@@ -0,0 +1,65 @@
+import { ROLES } from '../config/permissions.js';
+import { isActionAllowed, redactForRole } from './accessPolicy.js';
+import { getCollectionId } from '../utils/firestorePaths.js';
+import { encodeTypedJson } from '../utils/typedJson.js';
+
+/**
+ * Socket.io rooms are split per policy role so every subscriber
+ * receives document data redacted for their own role.
+ */
+const AUDIENCES = [...ROLES, 'default'];
+
+/**
+ * Get the room a role subscribes to for a collection
+ * Nested collections use their full path (`collection:conversations/abc/messages#viewer`).
+ */
+export function getCollectionRoom(collectionPath, role) {
+  return `collection:${collectionPath}#${role}`;
+}
+
+/**
+ * Get the room a role subscribes to for every collection with the same ID
+ */
+export function getCollectionGroupRoom(collectionId, role) {
+  return `collection-group:${collectionId}#${role}`;
+}
+
+/**
+ * Emit a document-* event to every subscriber of a collection or its collection group
+ */
+export function emitDocumentEvent(io, event, collectionPath, payload) {
+  if (!io) {
+    return;
+  }
+
+  for (const role of AUDIENCES) {
+    if (!isActionAllowed(role, collectionPath, 'read')) {
+      continue;
+    }
+
+    io.to([
+      getCollectionRoom(collectionPath, role),
+      getCollectionGroupRoom(getCollectionId(collectionPath), role)
+    ]).emit(event, {
+      ...payload,
+      data: encodeTypedJson(redactForRole(role, collectionPath, payload.data))
+    });
+  }
+}
+
+/**
+ * Get the room that receives progress events of a background job
+ */
+export function getJobRoom(jobId) {
+  return `job:${jobId}`;
+}
+
+/**
+ * Emit a job-* event to the subscribers of a job
+ */
+export function emitJobEvent(io, event, job) {
+  if (!io) {
+    return;
+  }
+  io.to(getJobRoom(job.id)).emit(event, job);
+}
@@ -0,0 +1,80 @@
+import { isProtectedPath } from '../config/collections.js';
+import { dbLogger } from '../utils/logger.js';
+import { isDocumentPath } from '../utils/firestorePaths.js';
+import { startJob } from './jobs.js';
+
+/**
+ * Documents whose subcollections are listed at the same time
+ */
+const LIST_CONCURRENCY = 50;
+
+/**
+ * Queue deletes for a document and every subcollection below it, except protected ones
+ * Subcollections in PROTECTED_COLLECTIONS are left in place and added to `state.skipped`.
+ */
+async function deleteDocumentTree(writer, docRef, state) {
+  for (const subcollection of await docRef.listCollections()) {
+    if (isProtectedPath(subcollection.path)) {
+      state.skipped.push(subcollection.path);
+    } else {
+      await deleteCollectionTree(writer, subcollection, state);
+    }
+  }
+  writer.delete(docRef).catch(() => { state.failed += 1; });
+}
+
+/**
+ * Queue deletes for every document of a collection and their subcollections
+ * listDocuments() also returns missing parent documents, so orphaned subcollections are reached too.
+ */
+async function deleteCollectionTree(writer, collectionRef, state) {
+  const docRefs = await collectionRef.listDocuments();
+  for (let start = 0; start < docRefs.length; start += LIST_CONCURRENCY) {
+    await Promise.all(docRefs
+      .slice(start, start + LIST_CONCURRENCY)
+      .map(docRef => deleteDocumentTree(writer, docRef, state)));
+  }
+}
+
+/**
+ * Delete a collection or a document with all of its subcollections as a background job
+ *
+ * Deletes go through a BulkWriter, which retries transient failures; progress reports
+ * the number of documents deleted so far. Soft-delete and document hooks are bypassed.
+ * Protected subcollections found along the way are kept and listed in the result.
+ */
+export function startRecursiveDelete(io, db, { path, user }) {
+  return startJob(io, { type: 'recursive-delete', params: { path }, user }, async (reportProgress) => {
+    const writer = db.bulkWriter();
+    const state = { skipped: [], failed: 0 };
+    let deleted = 0;
+    writer.onWriteResult(() => {
+      deleted += 1;
+      reportProgress({ deleted });
+    });
+
+    try {
+      if (isDocumentPath(path)) {
+        await deleteDocumentTree(writer, db.doc(path), state);
+      } else {
+        await deleteCollectionTree(writer, db.collection(path), state);
+      }
+      await writer.flush();
+    } finally {
+      reportProgress({ deleted });
+      await writer.close();
+    }
+
+    const { skipped, failed } = state;
+    if (skipped.length > 0) {
+      dbLogger.warn(`Recursive delete of ${path} kept ${skipped.length} protected subcollections`, { skipped });
+    }
+    if (failed > 0) {
+      throw new Error(`Failed to delete ${failed} documents below ${path}`);
+    }
+    dbLogger.info(`Recursively deleted ${path}`, { deleted, deletedBy: user.uid });
+    return { path, deleted, skipped };
+  });
+}
+
+export default startRecursiveDelete;
@@ -0,0 +1,194 @@
+import { DocumentReference, GeoPoint, Timestamp } from 'firebase-admin/firestore';
+import { encodeTypedJson } from '../utils/typedJson.js';
+
+/**
+ * Schema inference from sampled documents
+ *
+ * Every field path seen in the sample is reported with the types observed, how
+ * often each occurs, whether it was null or missing and a few example values.
+ * Nested map fields use dot paths (`address.city`); array elements are reported
+ * under `field[]` (`tags[]`, `items[].sku`).
+ */
+
+export const DEFAULT_SAMPLE_SIZE = parseInt(process.env.SCHEMA_SAMPLE_SIZE) || 100;
+
+export const MAX_SAMPLE_SIZE = 1000;
+
+const MAX_EXAMPLES = 3;
+const MAX_EXAMPLE_LENGTH = 100;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Name the type of a Firestore value
+ * Numbers are split into integer and number, as stored values do not say which they were written as.
+ */
+function getValueType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Timestamp) return 'timestamp';
+  if (value instanceof GeoPoint) return 'geopoint';
+  if (value instanceof DocumentReference) return 'reference';
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return 'bytes';
+  if (Array.isArray(value)) return 'array';
+  if (isPlainObject(value)) return 'map';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Collect every value in a document by field path
+ */
+function collectValues(data, prefix = '', values = new Map()) {
+  const add = (path, value) => {
+    if (!values.has(path)) {
+      values.set(path, []);
+    }
+    values.get(path).push(value);
+  };
+
+  const visit = (path, value) => {
+    add(path, value);
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(`${path}[]`, item));
+    } else if (isPlainObject(value)) {
+      collectValues(value, path, values);
+    }
+  };
+
+  for (const [key, value] of Object.entries(data)) {
+    visit(prefix ? `${prefix}.${key}` : key, value);
+  }
+  return values;
+}
+
+function toExample(value) {
+  const example = encodeTypedJson(value);
+  return typeof example === 'string' && example.length > MAX_EXAMPLE_LENGTH
+    ? `${example.slice(0, MAX_EXAMPLE_LENGTH)}…`
+    : example;
+}
+
+/**
+ * Infer the field structure of documents
+ * Returns `{ sampled, fields }` with one entry per field path, sorted by path.
+ */
+export function inferSchema(documents) {
+  const stats = new Map();
+
+  for (const data of documents) {
+    for (const [path, values] of collectValues(data)) {
+      if (!stats.has(path)) {
+        stats.set(path, { documents: 0, count: 0, types: {}, examples: [] });
+      }
+      const field = stats.get(path);
+      field.documents += 1;
+
+      for (const value of values) {
+        const type = getValueType(value);
+        field.count += 1;
+        field.types[type] = (field.types[type] || 0) + 1;
+
+        if (type !== 'null' && type !== 'map' && type !== 'array' && field.examples.length < MAX_EXAMPLES) {
+          const example = toExample(value);
+          if (!field.examples.some(existing => JSON.stringify(existing) === JSON.stringify(example))) {
+            field.examples.push(example);
+          }
+        }
+      }
+    }
+  }
+
+  const fields = [...stats.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([path, field]) => ({
+      path,
+      documents: field.documents,
+      presence: documents.length > 0 ? field.documents / documents.length : 0,
+      count: field.count,
+      types: Object.entries(field.types)
+        .sort(([, a], [, b]) => b - a)
+        .map(([type, count]) => ({ type, count, ratio: count / field.count })),
+      nullable: Boolean(field.types.null),
+      examples: field.examples
+    }));
+
+  return { sampled: documents.length, fields };
+}
+
+/**
+ * Sample documents of a collection and infer their schema
+ * `redact(data)` is applied to each document first so hidden fields stay hidden.
+ */
+export async function inferCollectionSchema(db, collectionPath, { sampleSize = DEFAULT_SAMPLE_SIZE, redact = data => data } = {}) {
+  const snapshot = await db.collection(collectionPath).limit(sampleSize).get();
+  return {
+    collection: collectionPath,
+    ...inferSchema(snapshot.docs.map(doc => redact(doc.data())))
+  };
+}
+
+const JSON_SCHEMA_TYPES = {
+  map: 'object',
+  integer: 'integer',
+  number: 'number',
+  string: 'string',
+  boolean: 'boolean',
+  null: 'null',
+  array: 'array',
+  timestamp: 'timestamp',
+  geopoint: 'geopoint',
+  reference: 'reference',
+  bytes: 'bytes'
+};
+
+function toSchemaNode(field, fieldsByPath) {
+  let types = [...new Set(field.types.map(({ type }) => JSON_SCHEMA_TYPES[type]))];
+  if (types.includes('number')) {
+    types = types.filter(type => type !== 'integer');
+  }
+
+  const node = { type: types.length === 1 ? types[0] : types };
+  if (types.includes('object')) {
+    const mapCount = field.types.find(({ type }) => type === 'map').count;
+    Object.assign(node, toObjectSchema(fieldsByPath, `${field.path}.`, mapCount));
+  }
+  if (types.includes('array') && fieldsByPath.has(`${field.path}[]`)) {
+    node.items = toSchemaNode(fieldsByPath.get(`${field.path}[]`), fieldsByPath);
+  }
+  return node;
+}
+
+function toObjectSchema(fieldsByPath, prefix, count) {
+  const properties = {};
+  const required = [];
+
+  for (const [path, field] of fieldsByPath) {
+    const key = path.slice(prefix.length);
+    if (!path.startsWith(prefix) || key.includes('.') || key.includes('[]')) {
+      continue;
+    }
+    properties[key] = toSchemaNode(field, fieldsByPath);
+    if (field.count === count) {
+      required.push(key);
+    }
+  }
+
+  return { properties, ...(required.length > 0 && { required }) };
+}
+
+/**
+ * Turn an inference result into a draft JSON Schema for the schema registry
+ * Fields present in every sampled document (or map) are required; nothing else is constrained.
+ */
+export function toDraftJsonSchema(inference) {
+  const fieldsByPath = new Map(inference.fields.map(field => [field.path, field]));
+  return {
+    description: `Draft inferred from ${inference.sampled} sampled documents of ${inference.collection}`,
+    type: 'object',
+    ...toObjectSchema(fieldsByPath, '', inference.sampled)
+  };
+}
+
+export default inferCollectionSchema;
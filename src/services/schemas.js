@@ -0,0 +1,498 @@
+import { isDeepStrictEqual } from 'util';
+import { z } from 'zod';
+import { DocumentReference, FieldValue, GeoPoint, Timestamp } from 'firebase-admin/firestore';
+import { RESERVED_COLLECTIONS } from '../config/collections.js';
+import { createError } from '../middleware/errorHandler.js';
+import { dbLogger } from '../utils/logger.js';
+import { getCollectionId } from '../utils/firestorePaths.js';
+import { decodeTypedJson } from '../utils/typedJson.js';
+
+/**
+ * Collection schema registry
+ *
+ * Each collection ID can have a JSON Schema stored in `_schemas/{collectionId}`,
+ * compiled to zod and checked on every write. In `enforce` mode violations are
+ * rejected with 422 and per-field errors; in `warn` mode they are only logged.
+ * Schemas also apply to nested collections with the same ID.
+ */
+
+export const SCHEMA_MODES = ['enforce', 'warn'];
+
+/**
+ * Fields stamped by the server on every write; schemas cannot make them required
+ */
+const SERVER_FIELDS = ['createdAt', 'updatedAt'];
+
+const SCHEMA_CACHE_TTL_MS = 30 * 1000;
+
+const ANNOTATION_KEYWORDS = ['$schema', '$id', 'title', 'description', 'default', 'examples'];
+
+const SUPPORTED_KEYWORDS = new Set([
+  ...ANNOTATION_KEYWORDS,
+  'type', 'enum', 'const', 'anyOf', 'oneOf',
+  'minLength', 'maxLength', 'pattern', 'format',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'properties', 'required', 'additionalProperties'
+]);
+
+const STRING_FORMATS = {
+  email: schema => schema.email(),
+  uri: schema => schema.url(),
+  'date-time': schema => schema.datetime({ offset: true }),
+  uuid: schema => schema.uuid()
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isFieldOp(value) {
+  return isPlainObject(value) && '__op' in value;
+}
+
+function invalidSchema(message, path) {
+  return createError(`Invalid schema at ${path || '(root)'}: ${message}`, 400, 'invalid-schema', { path: path || null });
+}
+
+function childPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function applyNumberBounds(schema, node) {
+  let compiled = schema;
+  if (node.minimum !== undefined) compiled = compiled.gte(node.minimum);
+  if (node.maximum !== undefined) compiled = compiled.lte(node.maximum);
+  if (node.exclusiveMinimum !== undefined) compiled = compiled.gt(node.exclusiveMinimum);
+  if (node.exclusiveMaximum !== undefined) compiled = compiled.lt(node.exclusiveMaximum);
+  if (node.multipleOf !== undefined) compiled = compiled.multipleOf(node.multipleOf);
+  return compiled;
+}
+
+/**
+ * zod schemas per JSON Schema type; `timestamp`, `geopoint`, `reference` and `bytes` are Firestore extensions
+ */
+const TYPE_COMPILERS = {
+  string: (node, path) => {
+    let schema = z.string();
+    if (node.minLength !== undefined) schema = schema.min(node.minLength);
+    if (node.maxLength !== undefined) schema = schema.max(node.maxLength);
+    if (node.pattern !== undefined) {
+      try {
+        schema = schema.regex(new RegExp(node.pattern), { message: `Must match ${node.pattern}` });
+      } catch (error) {
+        throw invalidSchema(`pattern is not a valid regular expression (${error.message})`, path);
+      }
+    }
+    if (node.format !== undefined) {
+      if (!Object.hasOwn(STRING_FORMATS, node.format)) {
+        throw invalidSchema(`unsupported format '${node.format}', expected one of: ${Object.keys(STRING_FORMATS).join(', ')}`, path);
+      }
+      schema = STRING_FORMATS[node.format](schema);
+    }
+    return schema;
+  },
+  number: node => applyNumberBounds(z.number(), node),
+  integer: node => applyNumberBounds(z.number().int(), node),
+  boolean: () => z.boolean(),
+  null: () => z.null(),
+  array: (node, path) => {
+    let schema = z.array(node.items === undefined ? z.any() : compileNode(node.items, `${path}[]`));
+    if (node.minItems !== undefined) schema = schema.min(node.minItems);
+    if (node.maxItems !== undefined) schema = schema.max(node.maxItems);
+    if (node.uniqueItems) {
+      schema = schema.refine(
+        items => items.every((item, index) => items.findIndex(other => isDeepStrictEqual(other, item)) === index),
+        { message: 'Array items must be unique' }
+      );
+    }
+    return schema;
+  },
+  object: (node, path) => {
+    if (node.properties !== undefined && !isPlainObject(node.properties)) {
+      throw invalidSchema('properties must be an object', path);
+    }
+    if (node.required !== undefined && !Array.isArray(node.required)) {
+      throw invalidSchema('required must be an array of field names', path);
+    }
+
+    const required = new Set(node.required || []);
+    if (!path) {
+      SERVER_FIELDS.forEach(field => required.delete(field));
+    }
+    const shape = Object.fromEntries(Object.entries(node.properties || {}).map(([key, child]) => {
+      const compiled = compileNode(child, childPath(path, key));
+      return [key, required.has(key) ? compiled : compiled.optional()];
+    }));
+
+    let schema = z.object(shape);
+    if (node.additionalProperties === false) {
+      schema = schema.strict();
+    } else if (isPlainObject(node.additionalProperties)) {
+      schema = schema.catchall(compileNode(node.additionalProperties, childPath(path, '*')));
+    } else {
+      schema = schema.passthrough();
+    }
+    // Timestamps and other Firestore values are objects too, but not maps
+    return z.custom(isPlainObject, { message: 'Expected a map' }).pipe(schema);
+  },
+  timestamp: () => z.instanceof(Timestamp, { message: 'Expected a timestamp' }),
+  geopoint: () => z.instanceof(GeoPoint, { message: 'Expected a geopoint' }),
+  reference: () => z.instanceof(DocumentReference, { message: 'Expected a document reference' }),
+  bytes: () => z.custom(value => Buffer.isBuffer(value) || value instanceof Uint8Array, { message: 'Expected bytes' })
+};
+
+function union(schemas) {
+  return schemas.length === 1 ? schemas[0] : z.union(schemas);
+}
+
+/**
+ * Compiled schemas by node and path: compile errors and the root's server fields depend on
+ * where a node sits, so a node reused at another path is compiled again
+ */
+const compiledNodes = new WeakMap();
+
+/**
+ * Compile one JSON Schema node to zod
+ */
+function compileNode(node, path = '') {
+  if (node === true) {
+    return z.any();
+  }
+  if (!isPlainObject(node)) {
+    throw invalidSchema('expected a schema object', path);
+  }
+  if (!compiledNodes.has(node)) {
+    compiledNodes.set(node, new Map());
+  }
+  const compiledPaths = compiledNodes.get(node);
+  if (compiledPaths.has(path)) {
+    return compiledPaths.get(path);
+  }
+
+  const unsupported = Object.keys(node).filter(keyword => !SUPPORTED_KEYWORDS.has(keyword));
+  if (unsupported.length > 0) {
+    throw invalidSchema(`unsupported keyword(s): ${unsupported.join(', ')}`, path);
+  }
+
+  let schema = z.any();
+  if (node.type !== undefined) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    const unknown = types.filter(type => !Object.hasOwn(TYPE_COMPILERS, type));
+    if (types.length === 0 || unknown.length > 0) {
+      throw invalidSchema(`type must be one of: ${Object.keys(TYPE_COMPILERS).join(', ')}`, path);
+    }
+    schema = union(types.map(type => TYPE_COMPILERS[type](node, path)));
+  }
+
+  const alternatives = node.anyOf || node.oneOf;
+  if (alternatives !== undefined) {
+    if (!Array.isArray(alternatives) || alternatives.length === 0) {
+      throw invalidSchema('anyOf and oneOf must be non-empty arrays of schemas', path);
+    }
+    schema = schema.and(union(alternatives.map((alternative, index) => compileNode(alternative, `${path}<${index}>`))));
+  }
+
+  if (node.enum !== undefined) {
+    if (!Array.isArray(node.enum) || node.enum.length === 0) {
+      throw invalidSchema('enum must be a non-empty array', path);
+    }
+    schema = schema.refine(
+      value => node.enum.some(option => isDeepStrictEqual(value, option)),
+      { message: `Must be one of: ${node.enum.map(option => JSON.stringify(option)).join(', ')}` }
+    );
+  }
+  if (node.const !== undefined) {
+    schema = schema.refine(value => isDeepStrictEqual(value, node.const), { message: `Must be ${JSON.stringify(node.const)}` });
+  }
+
+  compiledPaths.set(path, schema);
+  return schema;
+}
+
+/**
+ * Compile a collection's JSON Schema to zod, throwing 400 if it is invalid or unsupported
+ * The root must describe an object (the document).
+ */
+export function compileJsonSchema(schema) {
+  if (!isPlainObject(schema) || schema.type !== 'object') {
+    throw invalidSchema('the root schema must have type "object"');
+  }
+  return compileNode(schema);
+}
+
+function toFieldErrors(issues, prefix = []) {
+  return issues.flatMap(issue => {
+    const path = [...prefix, ...issue.path];
+    if (issue.code === 'unrecognized_keys') {
+      return issue.keys.map(key => ({ field: [...path, key].join('.'), code: 'unknown-field', message: 'Field is not allowed by the schema' }));
+    }
+    return [{ field: path.join('.') || null, code: issue.code, message: issue.message }];
+  });
+}
+
+function checkValue(node, value, field) {
+  const result = compileNode(node, field).safeParse(value);
+  return result.success ? [] : toFieldErrors(result.error.issues, field.split('.'));
+}
+
+function acceptsType(node, ...types) {
+  const nodeTypes = node === true || node.type === undefined ? null : [].concat(node.type);
+  return !nodeTypes || types.some(type => nodeTypes.includes(type));
+}
+
+/**
+ * Replace field markers with the value the field ends up with when the document is written whole
+ */
+function resolveMarkersForSet(value) {
+  if (isFieldOp(value)) {
+    switch (value.__op) {
+      case 'serverTimestamp':
+        return Timestamp.now();
+      case 'increment':
+        return value.by;
+      case 'arrayUnion':
+        return value.values.filter((item, index) => value.values.findIndex(other => isDeepStrictEqual(other, item)) === index);
+      case 'arrayRemove':
+        return [];
+      default:
+        return value;
+    }
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, resolveMarkersForSet(child)]));
+  }
+  return value;
+}
+
+/**
+ * Find the schema of a field path, or `unknown: true` when the schema does not allow it
+ */
+function resolveFieldSchema(root, segments) {
+  let node = root;
+  let parent = null;
+
+  for (const segment of segments) {
+    if (node === true || !isPlainObject(node)) {
+      return { node: true, parent: null };
+    }
+    parent = node;
+    if (node.properties && Object.hasOwn(node.properties, segment)) {
+      node = node.properties[segment];
+    } else if (isPlainObject(node.additionalProperties)) {
+      node = node.additionalProperties;
+    } else if (node.additionalProperties === false) {
+      return { unknown: true };
+    } else {
+      return { node: true, parent: null };
+    }
+  }
+
+  return { node, parent };
+}
+
+/**
+ * Check the fields of a partial write: each key (a dot path for updates) against its own schema
+ * In `merge` mode maps are merged, so their fields are checked one by one as well.
+ */
+function checkPartial(root, data, mode, prefix = []) {
+  return Object.entries(data).flatMap(([key, value]) => {
+    const segments = [...prefix, ...(mode === 'update' && prefix.length === 0 ? key.split('.') : [key])];
+    const field = segments.join('.');
+    const { node, parent, unknown } = resolveFieldSchema(root, segments);
+    const fieldName = segments[segments.length - 1];
+
+    if (unknown) {
+      return [{ field, code: 'unknown-field', message: 'Field is not allowed by the schema' }];
+    }
+    if (!isFieldOp(value)) {
+      if (mode === 'merge' && isPlainObject(value) && isPlainObject(node) && acceptsType(node, 'object')) {
+        return checkPartial(root, value, mode, segments);
+      }
+      return checkValue(node, resolveMarkersForSet(value), field);
+    }
+
+    switch (value.__op) {
+      case 'delete':
+        return parent?.required?.includes(fieldName) && !(parent === root && SERVER_FIELDS.includes(fieldName))
+          ? [{ field, code: 'required', message: 'Required field cannot be deleted' }]
+          : [];
+      case 'increment':
+        return acceptsType(node, 'number', 'integer') ? [] : [{ field, code: 'invalid_type', message: 'Cannot increment a field that is not a number' }];
+      case 'arrayUnion':
+        if (!acceptsType(node, 'array')) {
+          return [{ field, code: 'invalid_type', message: 'Cannot add array elements to a field that is not an array' }];
+        }
+        return node === true || node.items === undefined
+          ? []
+          : value.values.flatMap((item, index) => checkValue(node.items, item, `${field}.${index}`));
+      case 'serverTimestamp':
+        return checkValue(node, Timestamp.now(), field);
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Check write data against a registry entry, returning per-field errors
+ * `set` checks the whole document; `update` (dot path keys) and `merge` only check the fields written.
+ */
+export function validateDocument(entry, data, mode = 'set') {
+  const decoded = decodeTypedJson(data);
+  if (mode === 'set') {
+    const result = entry.validator.safeParse(resolveMarkersForSet(decoded));
+    return result.success ? [] : toFieldErrors(result.error.issues);
+  }
+  return checkPartial(entry.schema, decoded, mode);
+}
+
+function toRegistryEntry(snapshot) {
+  const stored = snapshot.data();
+  const schema = JSON.parse(stored.definition);
+  return {
+    collection: snapshot.id,
+    mode: stored.mode,
+    schema,
+    validator: compileJsonSchema(schema)
+  };
+}
+
+let registryCache = null;
+
+/**
+ * Load all registered schemas, cached for SCHEMA_CACHE_TTL_MS so other instances pick up changes
+ */
+async function loadRegistry(db) {
+  if (!registryCache || Date.now() - registryCache.loadedAt > SCHEMA_CACHE_TTL_MS) {
+    const promise = db.collection(RESERVED_COLLECTIONS.schemas).get().then(snapshot => {
+      const entries = new Map();
+      for (const doc of snapshot.docs) {
+        try {
+          entries.set(doc.id, toRegistryEntry(doc));
+        } catch (error) {
+          dbLogger.error(`Ignoring invalid schema for collection ${doc.id}:`, error.message);
+        }
+      }
+      return entries;
+    });
+    registryCache = { loadedAt: Date.now(), promise };
+    promise.catch(() => {
+      if (registryCache?.promise === promise) {
+        registryCache = null;
+      }
+    });
+  }
+  return registryCache.promise;
+}
+
+/**
+ * Load the registry and return a synchronous `validateWrite(collectionPath, data, { mode })`
+ * for checking many writes. It throws 422 `schema-validation-failed` with per-field
+ * errors for collections in `enforce` mode and logs a warning for those in `warn` mode.
+ */
+export async function createWriteValidator(db) {
+  const registry = await loadRegistry(db);
+
+  return (collectionPath, data, { mode = 'set' } = {}) => {
+    const entry = registry.get(getCollectionId(collectionPath));
+    if (!entry) {
+      return;
+    }
+
+    const errors = validateDocument(entry, data, mode);
+    if (errors.length === 0) {
+      return;
+    }
+    if (entry.mode === 'warn') {
+      dbLogger.warn(`Write to ${collectionPath} does not match its schema`, { errors });
+      return;
+    }
+    throw createError(
+      `Document does not match the schema of collection ${entry.collection}`,
+      422,
+      'schema-validation-failed',
+      { collection: collectionPath, errors }
+    );
+  };
+}
+
+/**
+ * Check a single write against the schema of its collection (see createWriteValidator)
+ */
+export async function validateWrite(db, collectionPath, data, options) {
+  const validate = await createWriteValidator(db);
+  validate(collectionPath, data, options);
+}
+
+/**
+ * Format a stored schema for API responses
+ */
+export function formatSchema(snapshot) {
+  const stored = snapshot.data();
+  return {
+    collection: snapshot.id,
+    mode: stored.mode,
+    schema: JSON.parse(stored.definition),
+    version: stored.version,
+    updatedBy: stored.updatedBy,
+    updatedAt: stored.updatedAt?.toDate().toISOString() || null
+  };
+}
+
+function getSchemaRef(db, collectionId) {
+  return db.collection(RESERVED_COLLECTIONS.schemas).doc(collectionId);
+}
+
+/**
+ * List all registered schemas
+ */
+export async function listSchemas(db) {
+  const snapshot = await db.collection(RESERVED_COLLECTIONS.schemas).get();
+  return snapshot.docs;
+}
+
+/**
+ * Get the schema of a collection ID, throwing 404 if none is registered
+ */
+export async function getSchema(db, collectionId) {
+  const snapshot = await getSchemaRef(db, collectionId).get();
+  if (!snapshot.exists) {
+    throw createError(`No schema registered for collection ${collectionId}`, 404, 'schema-not-found', { collection: collectionId });
+  }
+  return snapshot;
+}
+
+/**
+ * Register or replace the schema of a collection ID
+ * The schema is stored as JSON text since Firestore cannot hold nested arrays.
+ */
+export async function saveSchema(db, collectionId, { schema, mode = 'enforce', user }) {
+  compileJsonSchema(schema);
+
+  const schemaRef = getSchemaRef(db, collectionId);
+  await db.runTransaction(async (transaction) => {
+    const existing = await transaction.get(schemaRef);
+    transaction.set(schemaRef, {
+      definition: JSON.stringify(schema),
+      mode,
+      version: (existing.exists ? existing.get('version') : 0) + 1,
+      updatedBy: { uid: user?.uid || null, email: user?.email || null },
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  });
+  registryCache = null;
+
+  return schemaRef.get();
+}
+
+/**
+ * Remove the schema of a collection ID, throwing 404 if none is registered
+ */
+export async function deleteSchema(db, collectionId) {
+  await getSchema(db, collectionId);
+  await getSchemaRef(db, collectionId).delete();
+  registryCache = null;
+}
+
+export default createWriteValidator;
@@ -0,0 +1,380 @@
+import { isDeepStrictEqual } from 'util';
+import { SEARCH_INDEXES, getSearchIndexConfig } from '../config/collections.js';
+import { createError } from '../middleware/errorHandler.js';
+import { dbLogger } from '../utils/logger.js';
+import { getCollectionId, getParentPath } from '../utils/firestorePaths.js';
+
+/**
+ * Full-text search over the fields configured in SEARCH_INDEXES
+ *
+ * Each collection ID has an in-memory inverted index on this instance, built from a
+ * collection group scan and kept current by a document hook on API writes. Writes
+ * that bypass the API (console, other services, recursive deletes) are picked up by
+ * the periodic rebuild every SEARCH_REINDEX_INTERVAL_MINUTES.
+ */
+
+export const SEARCH_REINDEX_INTERVAL_MINUTES = process.env.SEARCH_REINDEX_INTERVAL_MINUTES
+  ? parseInt(process.env.SEARCH_REINDEX_INTERVAL_MINUTES)
+  : 15;
+
+const REINDEX_PAGE_SIZE = 1000;
+const PREFIX_MATCH_WEIGHT = 0.5;
+const SNIPPET_LENGTH = 160;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Index state per collection ID: the live index, a running rebuild and the updates
+ * that arrive while it runs (replayed onto the new index)
+ */
+const indexes = new Map();
+
+function getState(collectionId) {
+  if (!indexes.has(collectionId)) {
+    indexes.set(collectionId, { index: null, building: null, pending: null });
+  }
+  return indexes.get(collectionId);
+}
+
+function normalizeTerm(token) {
+  return token.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized terms (case and accents are ignored)
+ */
+export function tokenize(text) {
+  return (String(text).match(/[\p{L}\p{N}]+/gu) || []).map(normalizeTerm);
+}
+
+function getValue(data, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function toText(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number') return String(value);
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string').join(', ');
+  return '';
+}
+
+function createIndex() {
+  return { docs: new Map(), postings: new Map(), fieldTotals: {}, builtAt: null };
+}
+
+function removeDocument(index, path) {
+  const entry = index.docs.get(path);
+  if (!entry) {
+    return;
+  }
+
+  for (const term of entry.terms) {
+    const posting = index.postings.get(term);
+    posting.delete(path);
+    if (posting.size === 0) {
+      index.postings.delete(term);
+    }
+  }
+  for (const [field, length] of Object.entries(entry.lengths)) {
+    index.fieldTotals[field] -= length;
+  }
+  index.docs.delete(path);
+}
+
+function addDocument(index, config, path, data) {
+  removeDocument(index, path);
+
+  const entry = { collection: getParentPath(path), text: {}, lengths: {}, filters: {}, terms: new Set() };
+  for (const field of Object.keys(config.fields)) {
+    const text = toText(getValue(data, field));
+    const terms = tokenize(text);
+    if (terms.length === 0) {
+      continue;
+    }
+
+    entry.text[field] = text;
+    entry.lengths[field] = terms.length;
+    index.fieldTotals[field] = (index.fieldTotals[field] || 0) + terms.length;
+
+    for (const term of terms) {
+      entry.terms.add(term);
+      if (!index.postings.has(term)) {
+        index.postings.set(term, new Map());
+      }
+      const posting = index.postings.get(term);
+      const frequencies = posting.get(path) || {};
+      frequencies[field] = (frequencies[field] || 0) + 1;
+      posting.set(path, frequencies);
+    }
+  }
+  for (const field of config.filters || []) {
+    entry.filters[field] = getValue(data, field);
+  }
+
+  index.docs.set(path, entry);
+}
+
+function applyUpdate(index, config, path, data) {
+  if (data) {
+    addDocument(index, config, path, data);
+  } else {
+    removeDocument(index, path);
+  }
+}
+
+/**
+ * Rebuild the index of a collection ID from Firestore
+ * Only the indexed and filter fields are read. Concurrent calls share one rebuild.
+ */
+export function rebuildSearchIndex(db, collectionId) {
+  const config = SEARCH_INDEXES[collectionId];
+  const state = getState(collectionId);
+  if (state.building) {
+    return state.building;
+  }
+
+  state.pending = [];
+  state.building = (async () => {
+    const index = createIndex();
+    const query = db.collectionGroup(collectionId)
+      .select(...Object.keys(config.fields), ...(config.filters || []))
+      .limit(REINDEX_PAGE_SIZE);
+
+    let last = null;
+    let snapshot;
+    do {
+      snapshot = await (last ? query.startAfter(last) : query).get();
+      snapshot.docs.forEach(doc => addDocument(index, config, doc.ref.path, doc.data()));
+      last = snapshot.docs[snapshot.docs.length - 1];
+    } while (snapshot.size === REINDEX_PAGE_SIZE);
+
+    state.pending.forEach(({ path, data }) => applyUpdate(index, config, path, data));
+    index.builtAt = new Date();
+    state.index = index;
+
+    dbLogger.info(`Built search index for ${collectionId}`, { documents: index.docs.size, terms: index.postings.size });
+    return index;
+  })().finally(() => {
+    state.building = null;
+    state.pending = null;
+  });
+
+  return state.building;
+}
+
+/**
+ * Apply a document write to its search index; `data` is null when the document was deleted
+ */
+export function updateSearchIndex(path, data) {
+  const collectionPath = getParentPath(path);
+  const config = getSearchIndexConfig(collectionPath);
+  const state = config && indexes.get(getCollectionId(collectionPath));
+  if (!state) {
+    return;
+  }
+
+  state.pending?.push({ path, data });
+  if (state.index) {
+    applyUpdate(state.index, config, path, data);
+  }
+}
+
+/**
+ * Document hook keeping search indexes current
+ */
+export const searchIndexHook = {
+  name: 'search-index',
+  matches: collectionPath => Boolean(getSearchIndexConfig(collectionPath)),
+  handle: change => updateSearchIndex(change.path, change.after)
+};
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Mark the words of a field matching the query with <mark>, cut to a snippet around the first match
+ * The text is HTML-escaped, so the result can be rendered as is.
+ */
+function highlight(text, queryTerms) {
+  const matches = [...text.matchAll(/[\p{L}\p{N}]+/gu)].filter(match => {
+    const term = normalizeTerm(match[0]);
+    return queryTerms.some(queryTerm => term.startsWith(queryTerm));
+  });
+  if (matches.length === 0) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, matches[0].index - Math.floor(SNIPPET_LENGTH / 4));
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  let snippet = '';
+  let position = start;
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < start || matchEnd > end) {
+      continue;
+    }
+    snippet += `${escapeHtml(text.slice(position, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    position = matchEnd;
+  }
+  snippet += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+function matchesFilters(entry, filters) {
+  return Object.entries(filters).every(([field, expected]) => {
+    const value = entry.filters[field];
+    return Array.isArray(value) ? value.some(item => isDeepStrictEqual(item, expected)) : isDeepStrictEqual(value, expected);
+  });
+}
+
+/**
+ * Get the index of a collection ID, building it on first use
+ */
+async function getIndex(db, collectionId) {
+  const state = getState(collectionId);
+  return state.index || rebuildSearchIndex(db, collectionId);
+}
+
+/**
+ * Search one collection
+ *
+ * Every query word must match a word of the document, either exactly or as a prefix
+ * (scored lower). Results are ranked with BM25 weighted per field. `filters` are exact
+ * values for the configured filter fields (array fields match if they contain the value).
+ * Searchable fields under `redactedFields` (the ones the caller cannot see in full) are
+ * neither matched nor highlighted.
+ */
+export async function searchCollection(db, collectionPath, { query, filters = {}, limit = 20, offset = 0, redactedFields = [] }) {
+  const config = getSearchIndexConfig(collectionPath);
+  if (!config) {
+    throw createError(`Collection ${collectionPath} has no search index`, 400, 'search-not-configured', {
+      searchable: Object.keys(SEARCH_INDEXES)
+    });
+  }
+
+  const unknownFilters = Object.keys(filters).filter(field => !(config.filters || []).includes(field));
+  if (unknownFilters.length > 0) {
+    throw createError(`Cannot filter on: ${unknownFilters.join(', ')}`, 400, 'invalid-search-filter', {
+      filters: config.filters || []
+    });
+  }
+
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) {
+    throw createError('Search query must contain at least one word', 400, 'invalid-search-query');
+  }
+
+  const index = await getIndex(db, getCollectionId(collectionPath));
+  const isRedacted = field => redactedFields.some(redacted => (
+    field === redacted || field.startsWith(`${redacted}.`) || redacted.startsWith(`${field}.`)
+  ));
+  const fields = Object.entries(config.fields).filter(([field]) => !isRedacted(field));
+  const documentCount = index.docs.size;
+
+  // Score per query term, keeping the best matching index term for each document.
+  // Rarity is taken over all words the query term matches, so rare completions do not outrank exact matches.
+  const scoresPerTerm = queryTerms.map(queryTerm => {
+    const scores = new Map();
+    const matching = [...index.postings].filter(([term]) => term.startsWith(queryTerm));
+    const matchCount = new Set(matching.flatMap(([, posting]) => [...posting.keys()])).size;
+    const idf = Math.log(1 + (documentCount - matchCount + 0.5) / (matchCount + 0.5));
+
+    for (const [term, posting] of matching) {
+      const matchWeight = term === queryTerm ? 1 : PREFIX_MATCH_WEIGHT;
+
+      for (const [path, frequencies] of posting) {
+        const entry = index.docs.get(path);
+        if (entry.collection !== collectionPath) {
+          continue;
+        }
+
+        let score = 0;
+        for (const [field, weight] of fields) {
+          const frequency = frequencies[field];
+          if (frequency) {
+            const averageLength = index.fieldTotals[field] / documentCount;
+            const norm = frequency * (K1 + 1) / (frequency + K1 * (1 - B + B * entry.lengths[field] / averageLength));
+            score += weight * idf * norm * matchWeight;
+          }
+        }
+        if (score > (scores.get(path) || 0)) {
+          scores.set(path, score);
+        }
+      }
+    }
+    return scores;
+  });
+
+  const [firstScores, ...otherScores] = scoresPerTerm;
+  const ranked = [...firstScores.entries()]
+    .filter(([path]) => otherScores.every(scores => scores.has(path)))
+    .filter(([path]) => matchesFilters(index.docs.get(path), filters))
+    .map(([path, score]) => ({ path, score: otherScores.reduce((total, scores) => total + scores.get(path), score) }))
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+
+  const results = ranked.slice(offset, offset + limit).map(({ path, score }) => {
+    const entry = index.docs.get(path);
+    const highlights = {};
+    for (const [field] of fields) {
+      const snippet = entry.text[field] && highlight(entry.text[field], queryTerms);
+      if (snippet) {
+        highlights[field] = snippet;
+      }
+    }
+    return { path, score: Math.round(score * 1000) / 1000, highlights };
+  });
+
+  return {
+    total: ranked.length,
+    results,
+    indexedAt: index.builtAt.toISOString()
+  };
+}
+
+/**
+ * Describe the search indexes of this instance
+ */
+export function getSearchIndexStatus() {
+  return Object.entries(SEARCH_INDEXES).map(([collectionId, config]) => {
+    const state = indexes.get(collectionId);
+    return {
+      collection: collectionId,
+      fields: config.fields,
+      filters: config.filters || [],
+      documents: state?.index?.docs.size ?? null,
+      builtAt: state?.index?.builtAt.toISOString() || null,
+      rebuilding: Boolean(state?.building)
+    };
+  });
+}
+
+/**
+ * Build every search index now and rebuild them every SEARCH_REINDEX_INTERVAL_MINUTES (0 = only at startup)
+ * The timer does not keep the process alive.
+ */
+export function startSearchReindexSchedule(db) {
+  const rebuildAll = () => Promise.all(Object.keys(SEARCH_INDEXES).map(collectionId => (
+    rebuildSearchIndex(db, collectionId).catch(error => {
+      dbLogger.error(`Failed to build search index for ${collectionId}:`, error.message);
+    })
+  )));
+
+  rebuildAll();
+  if (!(SEARCH_REINDEX_INTERVAL_MINUTES > 0)) {
+    return null;
+  }
+  const timer = setInterval(rebuildAll, SEARCH_REINDEX_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+export default searchCollection;
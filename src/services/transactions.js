@@ -0,0 +1,187 @@
+import { isDeepStrictEqual } from 'util';
+import { createError } from '../middleware/errorHandler.js';
+import { isSoftDeleteCollection, isVersionedCollection } from '../config/collections.js';
+import { hasRedactedFields, preserveRedactedFields } from './accessPolicy.js';
+import { trashInTransaction } from './trash.js';
+import { readVersionCounters, recordVersion } from './versions.js';
+import { getHookedSnapshots } from './documentHooks.js';
+import { encodeTypedJson } from '../utils/typedJson.js';
+
+export const ASSERTION_OPERATORS = ['exists', 'not-exists', '==', '!=', '<', '<=', '>', '>='];
+export const TRANSACTION_WRITE_TYPES = ['create', 'set', 'update', 'delete'];
+
+const NUMERIC_OPERATORS = ['<', '<=', '>', '>='];
+
+/**
+ * Check an assertion against the snapshot it refers to
+ * Without a `field`, exists / not-exists test the document itself.
+ * Values are compared in typed JSON, so `{ "__type": "timestamp", ... }` works as expected.
+ */
+function checkAssertion(assertion, snapshot) {
+  const { op, field, value } = assertion;
+
+  if (!field) {
+    return op === 'exists' ? snapshot.exists : !snapshot.exists;
+  }
+
+  const actual = snapshot.exists ? snapshot.get(field) : undefined;
+
+  switch (op) {
+    case 'exists':
+      return actual !== undefined;
+    case 'not-exists':
+      return actual === undefined;
+    case '==':
+      return isDeepStrictEqual(encodeTypedJson(actual), value);
+    case '!=':
+      return !isDeepStrictEqual(encodeTypedJson(actual), value);
+    default:
+      if (typeof actual !== 'number') {
+        return false;
+      }
+      return {
+        '<': actual < value,
+        '<=': actual <= value,
+        '>': actual > value,
+        '>=': actual >= value
+      }[op];
+  }
+}
+
+/**
+ * Describe what an assertion saw, for the error report
+ */
+function describeActual(assertion, snapshot) {
+  if (!assertion.field) {
+    return { exists: snapshot.exists };
+  }
+  const actual = snapshot.exists ? snapshot.get(assertion.field) : undefined;
+  return { value: actual === undefined ? null : encodeTypedJson(actual) };
+}
+
+/**
+ * Validate the shape of a transaction request before anything is read
+ */
+export function validateTransaction({ reads, assertions, writes }) {
+  const invalid = (message, details) => createError(message, 400, 'invalid-transaction', details);
+  const aliases = new Set();
+
+  reads.forEach((read, index) => {
+    if (typeof read.alias !== 'string' || !read.alias) {
+      throw invalid(`reads[${index}] needs an alias`, { read });
+    }
+    if (aliases.has(read.alias)) {
+      throw invalid(`Duplicate read alias '${read.alias}'`, { read });
+    }
+    aliases.add(read.alias);
+  });
+
+  assertions.forEach((assertion, index) => {
+    if (!aliases.has(assertion.read)) {
+      throw invalid(`assertions[${index}] refers to unknown read '${assertion.read}'`, { assertion });
+    }
+    if (!ASSERTION_OPERATORS.includes(assertion.op)) {
+      throw invalid(`assertions[${index}] has unknown op '${assertion.op}', expected one of: ${ASSERTION_OPERATORS.join(', ')}`, { assertion });
+    }
+    if (!['exists', 'not-exists'].includes(assertion.op) && (typeof assertion.field !== 'string' || !assertion.field)) {
+      throw invalid(`assertions[${index}] needs a field for '${assertion.op}'`, { assertion });
+    }
+    if (NUMERIC_OPERATORS.includes(assertion.op) && typeof assertion.value !== 'number') {
+      throw invalid(`assertions[${index}] needs a numeric value for '${assertion.op}'`, { assertion });
+    }
+    if (['==', '!='].includes(assertion.op) && assertion.value === undefined) {
+      throw invalid(`assertions[${index}] needs a value for '${assertion.op}'`, { assertion });
+    }
+  });
+
+  writes.forEach((write, index) => {
+    if (write.type !== 'delete' && (!write.data || typeof write.data !== 'object')) {
+      throw invalid(`writes[${index}] needs data for '${write.type}'`, { write });
+    }
+  });
+}
+
+/**
+ * Read documents, check assertions and apply writes atomically
+ *
+ * `writes` must already hold Firestore-ready data. Firestore retries the
+ * transaction on contention; a failed assertion aborts it with a 409 naming the assertion.
+ * Returns the read snapshots by alias and, for document hooks, the written documents as they were before.
+ * `set` writes keep the fields `user` only sees redacted from the stored document, as PUT does,
+ * and deletes in soft-delete collections move the document to the trash; `trashIds` holds
+ * the new trash entry ID for each such write (null for other writes). Writes to versioned
+ * collections record their versions in the same transaction.
+ */
+export async function runDocumentTransaction(db, { reads, assertions, writes, user }) {
+  return db.runTransaction(async (transaction) => {
+    const refs = reads.map(({ collection, documentId }) => db.collection(collection).doc(documentId));
+    const snapshots = refs.length > 0 ? await transaction.getAll(...refs) : [];
+    const snapshotsByAlias = Object.fromEntries(reads.map((read, index) => [read.alias, snapshots[index]]));
+    const beforeSnapshots = await getHookedSnapshots(
+      db,
+      writes.map(({ collection, documentId }) => `${collection}/${documentId}`),
+      transaction
+    );
+    const storedWrites = writes.filter(({ type, collection }) => isVersionedCollection(collection)
+      || (type === 'set' && hasRedactedFields(user, collection)) || (type === 'delete' && isSoftDeleteCollection(collection)));
+    const storedSnapshots = storedWrites.length > 0
+      ? await transaction.getAll(...storedWrites.map(({ collection, documentId }) => db.collection(collection).doc(documentId)))
+      : [];
+    const storedByWrite = new Map(storedWrites.map((write, index) => [write, storedSnapshots[index]]));
+    const counters = await readVersionCounters(
+      db,
+      transaction,
+      writes.map(({ collection, documentId }) => `${collection}/${documentId}`)
+    );
+
+    assertions.forEach((assertion, index) => {
+      if (!checkAssertion(assertion, snapshotsByAlias[assertion.read])) {
+        throw createError(`Transaction aborted: assertions[${index}] failed`, 409, 'transaction-aborted', {
+          index,
+          assertion,
+          actual: describeActual(assertion, snapshotsByAlias[assertion.read])
+        });
+      }
+    });
+
+    const trashIds = writes.map(() => null);
+    writes.forEach((write, index) => {
+      const { type, collection, documentId } = write;
+      const docRef = db.collection(collection).doc(documentId);
+      const stored = storedByWrite.get(write) || null;
+      let { data } = write;
+      switch (type) {
+        case 'create':
+          transaction.create(docRef, data);
+          break;
+        case 'set':
+          if (stored?.exists && hasRedactedFields(user, collection)) {
+            data = preserveRedactedFields(user, collection, data, stored.data());
+          }
+          transaction.set(docRef, data);
+          break;
+        case 'update':
+          transaction.update(docRef, data);
+          break;
+        case 'delete':
+          if (stored?.exists && isSoftDeleteCollection(collection)) {
+            trashIds[index] = trashInTransaction(db, transaction, stored, user);
+          } else {
+            transaction.delete(docRef);
+          }
+          break;
+      }
+      recordVersion(db, transaction, counters, {
+        path: docRef.path,
+        operation: type,
+        actor: user,
+        before: stored,
+        write: { type, data }
+      });
+    });
+
+    return { snapshotsByAlias, beforeSnapshots, trashIds };
+  });
+}
+
+export default runDocumentTransaction;
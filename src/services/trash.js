@@ -0,0 +1,246 @@
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { RESERVED_COLLECTIONS } from '../config/collections.js';
+import { createError } from '../middleware/errorHandler.js';
+import { dbLogger } from '../utils/logger.js';
+import { matchesVersion } from '../utils/etag.js';
+import { getParentPath } from '../utils/firestorePaths.js';
+import { readVersionCounters, recordVersion } from './versions.js';
+
+/**
+ * Days a trashed document is kept before it is purged automatically (0 keeps it until purged by hand)
+ */
+export const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS
+  ? parseInt(process.env.TRASH_RETENTION_DAYS)
+  : 30;
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * Get the reserved collection holding trashed documents
+ */
+function getTrashCollection(db) {
+  return db.collection(RESERVED_COLLECTIONS.trash);
+}
+
+function getExpiresAt() {
+  if (!(TRASH_RETENTION_DAYS > 0)) {
+    return null;
+  }
+  return Timestamp.fromMillis(Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Format a trash entry for API responses
+ * `data` is returned as stored; callers redact and encode it for the requesting user.
+ */
+export function formatTrashEntry(snapshot) {
+  const entry = snapshot.data();
+  return {
+    id: snapshot.id,
+    path: entry.path,
+    collection: entry.collection,
+    documentId: entry.documentId,
+    deletedBy: entry.deletedBy,
+    deletedAt: entry.deletedAt?.toDate().toISOString() || null,
+    expiresAt: entry.expiresAt?.toDate().toISOString() || null,
+    data: entry.data
+  };
+}
+
+/**
+ * Queue the writes that move a document, read in the same transaction, into the trash
+ * Returns the ID of the new trash entry.
+ */
+export function trashInTransaction(db, transaction, snapshot, deletedBy) {
+  const entryRef = getTrashCollection(db).doc();
+
+  transaction.set(entryRef, {
+    path: snapshot.ref.path,
+    collection: getParentPath(snapshot.ref.path),
+    documentId: snapshot.id,
+    data: snapshot.data(),
+    deletedBy: {
+      uid: deletedBy.uid,
+      email: deletedBy.email || null
+    },
+    deletedAt: FieldValue.serverTimestamp(),
+    expiresAt: getExpiresAt()
+  });
+  transaction.delete(snapshot.ref);
+
+  return entryRef.id;
+}
+
+/**
+ * Move a document into the trash
+ *
+ * The document is read, copied and deleted in one transaction, so the trash always
+ * holds the version that was deleted; in versioned collections the deletion is recorded there too. Returns the snapshot that was read and the ID of
+ * the new trash entry; `entryId` is null if the document does not exist or no longer
+ * has `expectedVersion`.
+ */
+export async function moveToTrash(db, docRef, { deletedBy, expectedVersion }) {
+  const result = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    if (!snapshot.exists || !matchesVersion(snapshot, expectedVersion)) {
+      return { snapshot, entryId: null };
+    }
+
+    const counters = await readVersionCounters(db, transaction, [docRef.path]);
+    recordVersion(db, transaction, counters, {
+      path: docRef.path,
+      operation: 'delete',
+      actor: deletedBy,
+      before: snapshot,
+      write: { type: 'delete' }
+    });
+    return { snapshot, entryId: trashInTransaction(db, transaction, snapshot, deletedBy) };
+  });
+
+  if (result.entryId) {
+    dbLogger.info(`Moved document ${docRef.path} to trash entry ${result.entryId}`, { deletedBy: deletedBy.uid });
+  }
+  return result;
+}
+
+/**
+ * Get a trash entry, throwing 404 if it does not exist
+ */
+export async function getTrashEntry(db, entryId) {
+  const snapshot = await getTrashCollection(db).doc(entryId).get();
+  if (!snapshot.exists) {
+    throw createError(`Trash entry ${entryId} not found`, 404, 'trash-entry-not-found');
+  }
+  return snapshot;
+}
+
+/**
+ * List trash entries, most recently deleted first
+ * `collection` limits the list to documents deleted from that collection path.
+ */
+export async function listTrash(db, { collection, limit = 50, pageToken } = {}) {
+  let query = getTrashCollection(db);
+  if (collection) {
+    query = query.where('collection', '==', collection);
+  }
+  query = query.orderBy('deletedAt', 'desc').limit(limit + 1);
+
+  if (pageToken) {
+    const lastEntry = await getTrashCollection(db).doc(pageToken).get();
+    if (!lastEntry.exists) {
+      throw createError('Invalid page token', 400, 'invalid-page-token');
+    }
+    query = query.startAfter(lastEntry);
+  }
+
+  const snapshot = await query.get();
+  const docs = snapshot.docs.slice(0, limit);
+  const hasMore = snapshot.docs.length > limit;
+
+  return {
+    entries: docs,
+    hasMore,
+    nextPageToken: hasMore ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * Put a trashed document back at its original path and remove the trash entry
+ * Fails with 409 if a document has been created at that path in the meantime.
+ * In versioned collections the restore is recorded as a version by `restoredBy`.
+ */
+export async function restoreFromTrash(db, entryId, restoredBy) {
+  const entryRef = getTrashCollection(db).doc(entryId);
+
+  const path = await db.runTransaction(async (transaction) => {
+    const entry = await transaction.get(entryRef);
+    if (!entry.exists) {
+      throw createError(`Trash entry ${entryId} not found`, 404, 'trash-entry-not-found');
+    }
+
+    const { path, data } = entry.data();
+    const docRef = db.doc(path);
+    const existing = await transaction.get(docRef);
+    if (existing.exists) {
+      throw createError(`A document already exists at ${path}`, 409, 'document-exists', { path });
+    }
+    const counters = await readVersionCounters(db, transaction, [path]);
+
+    transaction.create(docRef, data);
+    recordVersion(db, transaction, counters, {
+      path,
+      operation: 'restore',
+      actor: restoredBy,
+      before: null,
+      write: { type: 'create', data }
+    });
+    transaction.delete(entryRef);
+    return path;
+  });
+
+  dbLogger.info(`Restored document ${path} from trash entry ${entryId}`);
+  return db.doc(path).get();
+}
+
+/**
+ * Permanently delete one trash entry
+ */
+export async function purgeTrashEntry(db, entryId) {
+  await getTrashCollection(db).doc(entryId).delete();
+  dbLogger.info(`Purged trash entry ${entryId}`);
+}
+
+/**
+ * Permanently delete trash entries in batches
+ * Purges the entries of one collection path, or with `expiredBefore` every entry whose retention has run out.
+ */
+export async function purgeTrash(db, { collection, expiredBefore } = {}) {
+  let query = getTrashCollection(db);
+  if (collection) {
+    query = query.where('collection', '==', collection);
+  }
+  if (expiredBefore) {
+    query = query.where('expiresAt', '<=', expiredBefore);
+  }
+  query = query.limit(PURGE_BATCH_SIZE);
+
+  let purged = 0;
+  for (;;) {
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    purged += snapshot.size;
+
+    if (snapshot.size < PURGE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (purged > 0) {
+    dbLogger.info(`Purged ${purged} trash entries`, { collection, expiredBefore: expiredBefore?.toDate().toISOString() });
+  }
+  return purged;
+}
+
+/**
+ * Purge expired trash entries now and then every hour
+ * The timer does not keep the process alive.
+ */
+export function startTrashPurgeSchedule(db) {
+  const purgeExpired = () => purgeTrash(db, { expiredBefore: Timestamp.now() }).catch(error => {
+    dbLogger.error('Failed to purge expired trash entries:', error.message);
+  });
+
+  purgeExpired();
+  const timer = setInterval(purgeExpired, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+export default moveToTrash;
@@ -0,0 +1,195 @@
+import { isDeepStrictEqual } from 'util';
+import { FieldValue } from 'firebase-admin/firestore';
+import { RESERVED_COLLECTIONS, getGeoIndexConfig, isVersionedCollection } from '../config/collections.js';
+import { createError } from '../middleware/errorHandler.js';
+import { getParentPath } from '../utils/firestorePaths.js';
+
+/**
+ * Document version history
+ *
+ * Every write to a versioned collection is stored as a numbered entry in
+ * `_versions/{encoded document path}/entries/{version}` with the data before and
+ * after the write, who made it and how. Entries are written in the same transaction as
+ * the write itself, so a committed write always has its version and vice versa.
+ */
+
+/**
+ * Get the history document of a document path
+ * Paths are URI-encoded because document IDs cannot contain slashes.
+ */
+function getHistoryRef(db, path) {
+  return db.collection(RESERVED_COLLECTIONS.versions).doc(encodeURIComponent(path));
+}
+
+function getEntriesRef(db, path) {
+  return getHistoryRef(db, path).collection('entries');
+}
+
+/**
+ * Read the version counters of the versioned documents among `paths` in a transaction
+ * Transactions read before they write, so call this alongside the other reads and pass
+ * the result to recordVersion for each write. Unversioned paths get no counter.
+ */
+export async function readVersionCounters(db, transaction, paths) {
+  const versioned = [...new Set(paths)].filter(path => isVersionedCollection(getParentPath(path)));
+  const counters = new Map();
+  if (versioned.length === 0) {
+    return counters;
+  }
+
+  const histories = await transaction.getAll(...versioned.map(path => getHistoryRef(db, path)));
+  histories.forEach((history, index) => {
+    counters.set(versioned[index], history.exists ? history.get('latestVersion') : 0);
+  });
+  return counters;
+}
+
+/**
+ * Queue a write as the next version of its document, in the transaction making the write
+ *
+ * `before` is the document snapshot read in that transaction (or null) and `write` the
+ * `{ type, data }` applied to the document: `create`, `set`, `merge`, `update` or `delete`.
+ * The write is replayed on the entry's `after` field, so field transforms and server
+ * timestamps resolve there exactly as they do on the document. Deletes of missing
+ * documents change nothing and are skipped. Returns the version number, or null when
+ * nothing was recorded.
+ */
+export function recordVersion(db, transaction, counters, { path, operation, actor, before, write }) {
+  if (!counters.has(path) || (write.type === 'delete' && !before?.exists)) {
+    return null;
+  }
+  const version = counters.get(path) + 1;
+  counters.set(path, version);
+
+  const historyRef = getHistoryRef(db, path);
+  const entryRef = getEntriesRef(db, path).doc(String(version));
+  const beforeData = before?.exists ? before.data() : null;
+  const entry = {
+    version,
+    path,
+    operation,
+    actor: {
+      uid: actor?.uid || null,
+      email: actor?.email || null
+    },
+    before: beforeData,
+    recordedAt: FieldValue.serverTimestamp()
+  };
+
+  transaction.set(historyRef, { path, latestVersion: version, updatedAt: FieldValue.serverTimestamp() });
+  switch (write.type) {
+    case 'delete':
+      transaction.create(entryRef, { ...entry, after: null });
+      break;
+    case 'create':
+    case 'set':
+      transaction.create(entryRef, { ...entry, after: write.data });
+      break;
+    case 'merge':
+      transaction.create(entryRef, { ...entry, after: beforeData || {} });
+      transaction.set(entryRef, { after: write.data }, { merge: true });
+      break;
+    default:
+      transaction.create(entryRef, { ...entry, after: beforeData || {} });
+      transaction.update(entryRef, Object.fromEntries(
+        Object.entries(write.data).map(([field, value]) => [`after.${field}`, value])
+      ));
+  }
+  return version;
+}
+
+/**
+ * Format a version entry for API responses
+ * `before` and `after` are returned as stored; callers redact and encode them.
+ */
+export function formatVersion(snapshot) {
+  const entry = snapshot.data();
+  return {
+    version: entry.version,
+    path: entry.path,
+    operation: entry.operation,
+    actor: entry.actor,
+    recordedAt: entry.recordedAt?.toDate().toISOString() || null,
+    before: entry.before,
+    after: entry.after
+  };
+}
+
+/**
+ * List the versions of a document, newest first
+ * `pageToken` is the last version number of the previous page.
+ */
+export async function listVersions(db, path, { limit = 50, pageToken } = {}) {
+  let query = getEntriesRef(db, path).orderBy('version', 'desc').limit(limit + 1);
+  if (pageToken) {
+    query = query.startAfter(pageToken);
+  }
+
+  const snapshot = await query.get();
+  const docs = snapshot.docs.slice(0, limit);
+  const hasMore = snapshot.docs.length > limit;
+
+  return {
+    versions: docs,
+    hasMore,
+    nextPageToken: hasMore ? docs[docs.length - 1].get('version') : null
+  };
+}
+
+/**
+ * Get one version of a document, throwing 404 if it does not exist
+ */
+export async function getVersion(db, path, version) {
+  const snapshot = await getEntriesRef(db, path).doc(String(version)).get();
+  if (!snapshot.exists) {
+    throw createError(`Version ${version} of ${path} not found`, 404, 'version-not-found', { path, version });
+  }
+  return snapshot;
+}
+
+function isMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !('__type' in value);
+}
+
+/**
+ * Field-level diff of two documents in typed JSON
+ * Maps are compared field by field (reported as dot paths); arrays and typed values as a whole.
+ */
+export function diffDocuments(from, to, prefix = '') {
+  const changes = [];
+  const fields = [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])].sort();
+
+  for (const key of fields) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const oldValue = from?.[key];
+    const newValue = to?.[key];
+
+    if (oldValue === undefined) {
+      changes.push({ field, type: 'added', to: newValue });
+    } else if (newValue === undefined) {
+      changes.push({ field, type: 'removed', from: oldValue });
+    } else if (isMap(oldValue) && isMap(newValue)) {
+      changes.push(...diffDocuments(oldValue, newValue, field));
+    } else if (!isDeepStrictEqual(oldValue, newValue)) {
+      changes.push({ field, type: 'changed', from: oldValue, to: newValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Get the content of a version that a rollback checks against the collection schema
+ * The schema may have changed since the version was written; server-stamped timestamps
+ * and the derived geohash are not part of it.
+ */
+export function getRollbackContent(collectionPath, data) {
+  const { createdAt, updatedAt, ...content } = data;
+  const geohashField = getGeoIndexConfig(collectionPath)?.geohashField;
+  if (geohashField) {
+    delete content[geohashField];
+  }
+  return content;
+}
+
+export default recordVersion;
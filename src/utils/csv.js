@@ -0,0 +1,128 @@
+/**
+ * CSV helpers for exports and imports
+ *
+ * Documents are flattened so nested map fields become dot path columns
+ * (`address.city`). Arrays and typed values (`{ "__type": ... }`) stay in one
+ * cell as JSON, so they can be read back without losing their type.
+ */
+
+function isMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !('__type' in value);
+}
+
+/**
+ * Flatten typed JSON document data into `{ "dot.path": value }`
+ */
+export function flattenDocument(data, prefix = '') {
+  const flat = {};
+
+  for (const [key, value] of Object.entries(data || {})) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (isMap(value) && Object.keys(value).length > 0) {
+      Object.assign(flat, flattenDocument(value, field));
+    } else {
+      flat[field] = value;
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Text that spreadsheets would run as a formula, possibly behind quotes added by guardFormula
+ */
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * Prefix text a spreadsheet would treat as a formula with `'`, so it is shown as text
+ * Text that already starts with quotes before a formula character gets one more, so
+ * unguardFormula can tell the two apart and restore the original.
+ */
+function guardFormula(text) {
+  return FORMULA_PATTERN.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Undo guardFormula on a cell read back from an exported file
+ */
+export function unguardFormula(text) {
+  return FORMULA_PATTERN.test(text) && text.startsWith("'") ? text.slice(1) : text;
+}
+
+/**
+ * Format one cell value, quoting it when needed
+ * Strings that look like formulas are guarded against spreadsheet formula injection.
+ */
+export function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : typeof value === 'string' ? guardFormula(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a row of values as a CSV line (with trailing CRLF)
+ */
+export function formatCsvRow(values) {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of string fields (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * Blank lines are skipped. Throws on an unterminated quoted field.
+ */
+export function* parseCsv(text) {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const start = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    const complete = row;
+    row = [];
+    field = '';
+    return complete.length === 1 && complete[0] === '' ? null : complete;
+  };
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        inQuotes = false;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      const complete = endRow();
+      if (complete) {
+        yield complete;
+      }
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    yield endRow();
+  }
+}
+
+export default formatCsvRow;
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { createError } from '../middleware/errorHandler.js';
+import { logger } from './logger.js';
+import { decodeTypedJson, encodeTypedJson } from './typedJson.js';
+
+/**
+ * Opaque pagination cursors
+ *
+ * A cursor is `<base64url payload>.<base64url HMAC>`. The payload holds the
+ * document path, its orderBy values and a fingerprint of the query it came from,
+ * so it cannot be forged or replayed against a different query.
+ */
+
+let fallbackSecret = null;
+
+function getSecret() {
+  const secret = process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+  if (secret) {
+    return secret;
+  }
+  if (!fallbackSecret) {
+    logger.warn('CURSOR_SECRET and JWT_SECRET are not set; pagination cursors will not survive a restart');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Fingerprint the parts of a query a cursor is only valid for
+ */
+export function getQueryFingerprint(query) {
+  return crypto.createHash('sha256').update(JSON.stringify(query)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Create a cursor for a document snapshot
+ */
+export function encodeCursor({ path, values, fingerprint }) {
+  const payload = Buffer.from(JSON.stringify({
+    p: path,
+    v: encodeTypedJson(values),
+    q: fingerprint
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify and decode a cursor, checking it belongs to the given query
+ */
+export function decodeCursor(cursor, fingerprint) {
+  const [payload, signature, extra] = String(cursor).split('.');
+  const expected = payload ? sign(payload) : '';
+
+  if (
+    extra !== undefined ||
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw createError('Invalid pagination cursor', 400, 'invalid-cursor');
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createError('Invalid pagination cursor', 400, 'invalid-cursor');
+  }
+
+  if (decoded.q !== fingerprint) {
+    throw createError('Cursor was issued for a different query', 400, 'cursor-mismatch');
+  }
+
+  return {
+    path: decoded.p,
+    values: decodeTypedJson(decoded.v)
+  };
+}
+
+export default { encodeCursor, decodeCursor, getQueryFingerprint };
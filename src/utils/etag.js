@@ -0,0 +1,78 @@
+import { Timestamp } from 'firebase-admin/firestore';
+import { createError } from '../middleware/errorHandler.js';
+
+/**
+ * Document versions as HTTP entity tags
+ *
+ * A document's ETag is its Firestore `updateTime` (`"<seconds>.<nanoseconds>"`),
+ * which changes on every write. Writes sent with `If-Match` are applied with a
+ * `lastUpdateTime` precondition so concurrent edits cannot overwrite each other.
+ */
+
+const ETAG_PATTERN = /^"?(\d+)\.(\d{9})"?$/;
+
+/**
+ * gRPC status Firestore returns when a precondition does not hold
+ */
+const FAILED_PRECONDITION = 9;
+
+/**
+ * Get the ETag of a document snapshot, or null if it does not exist
+ */
+export function getETag(snapshot) {
+  if (!snapshot?.exists || !snapshot.updateTime) {
+    return null;
+  }
+  const { seconds, nanoseconds } = snapshot.updateTime;
+  return `"${seconds}.${String(nanoseconds).padStart(9, '0')}"`;
+}
+
+/**
+ * Parse an If-Match value into the update time it stands for
+ * Returns null when no version was given (or `*`, which only requires the document to exist).
+ */
+export function parseIfMatch(value) {
+  if (value === undefined || value === null || value === '' || value === '*') {
+    return null;
+  }
+
+  const match = typeof value === 'string' ? ETAG_PATTERN.exec(value.trim()) : null;
+  if (!match) {
+    throw createError('If-Match must be an ETag returned by this API', 400, 'invalid-etag', { ifMatch: value });
+  }
+  return new Timestamp(parseInt(match[1]), parseInt(match[2]));
+}
+
+/**
+ * Check whether a snapshot still has the version the caller expects
+ */
+export function matchesVersion(snapshot, expectedUpdateTime) {
+  return !expectedUpdateTime || Boolean(snapshot.updateTime?.isEqual(expectedUpdateTime));
+}
+
+/**
+ * Get the write precondition for an expected version (spread into update()/delete() arguments)
+ */
+export function getPreconditionArgs(expectedUpdateTime) {
+  return expectedUpdateTime ? [{ lastUpdateTime: expectedUpdateTime }] : [];
+}
+
+/**
+ * Check whether a Firestore write failed on its lastUpdateTime precondition
+ */
+export function isPreconditionFailure(error) {
+  return error?.code === FAILED_PRECONDITION;
+}
+
+/**
+ * 412 error carrying the current server version of a document
+ * `current` is the (already redacted and encoded) document the client should merge with.
+ */
+export function createVersionConflictError(snapshot, current) {
+  return createError('Document was modified since it was read', 412, 'precondition-failed', {
+    etag: getETag(snapshot),
+    current: snapshot?.exists ? current : null
+  });
+}
+
+export default getETag;
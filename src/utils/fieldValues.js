@@ -0,0 +1,154 @@
+import { FieldValue, GeoPoint } from 'firebase-admin/firestore';
+import { getGeoIndexConfig } from '../config/collections.js';
+import { createError } from '../middleware/errorHandler.js';
+import { encodeGeohash } from './geohash.js';
+import { decodeTypedJson } from './typedJson.js';
+
+/**
+ * JSON markers for Firestore field transforms
+ *
+ *   { "__op": "delete" }                          removes a field (partial updates only)
+ *   { "__op": "increment", "by": 1 }              adds to a number field
+ *   { "__op": "arrayUnion", "values": ["a"] }     adds elements missing from an array
+ *   { "__op": "arrayRemove", "values": ["a"] }    removes elements from an array
+ *   { "__op": "serverTimestamp" }                 the commit time of the write
+ */
+const FIELD_OPS = {
+  delete: () => FieldValue.delete(),
+  increment: (marker, field) => {
+    if (typeof marker.by !== 'number' || !Number.isFinite(marker.by)) {
+      throw invalidFieldOp(`increment needs a numeric "by" for field ${field}`, field);
+    }
+    return FieldValue.increment(marker.by);
+  },
+  arrayUnion: (marker, field) => FieldValue.arrayUnion(...getArrayValues(marker, field)),
+  arrayRemove: (marker, field) => FieldValue.arrayRemove(...getArrayValues(marker, field)),
+  serverTimestamp: () => FieldValue.serverTimestamp()
+};
+
+function invalidFieldOp(message, field) {
+  return createError(message, 400, 'invalid-field-operation', {
+    field,
+    supported: Object.keys(FIELD_OPS)
+  });
+}
+
+function getArrayValues(marker, field) {
+  if (!Array.isArray(marker.values) || marker.values.length === 0) {
+    throw invalidFieldOp(`${marker.__op} needs a non-empty "values" array for field ${field}`, field);
+  }
+  return marker.values;
+}
+
+function isFieldOp(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && '__op' in value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Find a field marker nested inside a map or array value, returning its path
+ */
+function findNestedFieldOp(value, path) {
+  let children = [];
+  if (Array.isArray(value)) {
+    children = value.map((child, index) => [`${path}[${index}]`, child]);
+  } else if (isPlainObject(value)) {
+    children = Object.entries(value).map(([key, child]) => [`${path}.${key}`, child]);
+  }
+
+  for (const [childPath, child] of children) {
+    if (isFieldOp(child)) {
+      return childPath;
+    }
+    const nested = findNestedFieldOp(child, childPath);
+    if (nested) {
+      return nested;
+    }
+  }
+  return null;
+}
+
+function toFieldValue(marker, field, mode) {
+  const op = Object.hasOwn(FIELD_OPS, marker.__op) ? FIELD_OPS[marker.__op] : null;
+  if (!op) {
+    throw invalidFieldOp(`Unknown field operation '${marker.__op}' for field ${field}`, field);
+  }
+  if (marker.__op === 'delete' && mode !== 'update') {
+    throw invalidFieldOp(`delete can only be used in partial updates (field ${field})`, field);
+  }
+  return op(marker, field);
+}
+
+function resolveValue(value, field, mode) {
+  if (isFieldOp(value)) {
+    return toFieldValue(value, field, mode);
+  }
+
+  const nestedPath = findNestedFieldOp(value, field);
+  if (!nestedPath) {
+    return value;
+  }
+  if (Array.isArray(value) || nestedPath.includes('[')) {
+    throw invalidFieldOp(`Field operations cannot be used inside arrays (${nestedPath})`, nestedPath);
+  }
+  // An update replaces map values wholesale, so transforms inside them must be addressed by dot path
+  if (mode === 'update') {
+    throw invalidFieldOp(`Field operations must use a top-level dot path key, e.g. "${nestedPath}"`, nestedPath);
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, child]) => [key, resolveValue(child, `${field}.${key}`, mode)])
+  );
+}
+
+/**
+ * Replace field markers in write data with Firestore FieldValue sentinels
+ * In `update` mode only top-level keys (which may be dot paths) can carry a marker;
+ * in `set` mode (create / replace) markers may also sit inside maps, but `delete` is not allowed.
+ */
+export function resolveFieldValues(data, mode = 'update') {
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, resolveValue(value, key, mode)])
+  );
+}
+
+/**
+ * Keep the geohash of a geo-indexed collection in step with its GeoPoint field
+ * Only writes that touch the field change the geohash; in updates the field must be written by its own key.
+ */
+function withGeohash(data, collection, mode) {
+  const config = collection && getGeoIndexConfig(collection);
+  if (!config) {
+    return data;
+  }
+
+  const value = mode === 'update'
+    ? data[config.field]
+    : config.field.split('.').reduce((parent, key) => (isPlainObject(parent) ? parent[key] : undefined), data);
+
+  if (value instanceof GeoPoint) {
+    return { ...data, [config.geohashField]: encodeGeohash(value.latitude, value.longitude) };
+  }
+  if (value === null || (isFieldOp(value) && value.__op === 'delete')) {
+    return { ...data, [config.geohashField]: value };
+  }
+  return data;
+}
+
+/**
+ * Turn request data into Firestore write data
+ * Decodes typed JSON, resolves field markers, adds derived index fields for `collection`
+ * and stamps `updatedAt` (plus `createdAt` when `create` is set) with the server commit time.
+ */
+export function prepareWriteData(data, { mode = 'set', create = false, collection = null } = {}) {
+  return {
+    ...resolveFieldValues(withGeohash(decodeTypedJson(data), collection, mode), mode),
+    ...(create && { createdAt: FieldValue.serverTimestamp() }),
+    updatedAt: FieldValue.serverTimestamp()
+  };
+}
+
+export default resolveFieldValues;
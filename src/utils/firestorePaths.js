@@ -0,0 +1,54 @@
+/**
+ * Helpers for slash-separated Firestore paths
+ * Collection paths have an odd number of segments (`users`, `conversations/abc/messages`),
+ * document paths an even number (`users/u1`, `conversations/abc/messages/m1`).
+ */
+
+function splitPath(path) {
+  return typeof path === 'string' ? path.split('/') : [];
+}
+
+function hasValidSegments(segments) {
+  return segments.length > 0 && segments.every(segment => segment.length > 0 && segment !== '.' && segment !== '..');
+}
+
+/**
+ * Check whether a path points to a collection
+ */
+export function isCollectionPath(path) {
+  const segments = splitPath(path);
+  return hasValidSegments(segments) && segments.length % 2 === 1;
+}
+
+/**
+ * Check whether a path points to a document
+ */
+export function isDocumentPath(path) {
+  const segments = splitPath(path);
+  return hasValidSegments(segments) && segments.length % 2 === 0;
+}
+
+/**
+ * Check whether a value is a single document ID
+ * IDs with a slash would address a document in a subcollection.
+ */
+export function isDocumentId(documentId) {
+  return hasValidSegments(splitPath(documentId)) && !documentId.includes('/');
+}
+
+/**
+ * Get the collection ID of a collection or document path
+ * (`conversations/abc/messages/m1` -> `messages`)
+ */
+export function getCollectionId(path) {
+  const segments = splitPath(path);
+  return segments[segments.length - (segments.length % 2 === 0 ? 2 : 1)];
+}
+
+/**
+ * Get the parent path of a collection or document path, or null at the root
+ */
+export function getParentPath(path) {
+  const segments = splitPath(path);
+  return segments.length > 1 ? segments.slice(0, -1).join('/') : null;
+}
@@ -0,0 +1,145 @@
+/**
+ * Geohash helpers for geospatial queries
+ *
+ * A geohash interleaves longitude and latitude bits into a base32 string, so points
+ * close to each other usually share a prefix and a bounding box can be covered by a
+ * few prefix ranges. Range results are approximate and must be filtered by exact distance.
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+export const GEOHASH_PRECISION = 10;
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+/**
+ * Encode a point as a geohash
+ */
+export function encodeGeohash(latitude, longitude, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let even = true;
+
+  while (hash.length < precision) {
+    const range = even ? lngRange : latRange;
+    const coordinate = even ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    even = !even;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Size in degrees of a geohash cell at a precision
+ */
+function getCellSize(precision) {
+  const latBits = Math.floor(precision * 5 / 2);
+  const lngBits = Math.ceil(precision * 5 / 2);
+  return { height: 180 / 2 ** latBits, width: 360 / 2 ** lngBits };
+}
+
+/**
+ * Great-circle distance between two points in meters
+ */
+export function distanceBetween([lat1, lng1], [lat2, lng2]) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Bounding box `[minLat, minLng, maxLat, maxLng]` around a circle
+ * Longitudes may fall outside [-180, 180] when the circle crosses the antimeridian.
+ */
+export function boundingBoxForRadius([latitude, longitude], radiusMeters) {
+  const latDelta = radiusMeters / METERS_PER_DEGREE_LATITUDE;
+  const minLat = Math.max(-90, latitude - latDelta);
+  const maxLat = Math.min(90, latitude + latDelta);
+
+  // The circle is widest at the latitude closest to a pole
+  const widestLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+  const lngDelta = widestLat >= 90 ? 180 : latDelta / Math.cos(widestLat * Math.PI / 180);
+  if (lngDelta >= 180) {
+    return [minLat, -180, maxLat, 180];
+  }
+  return [minLat, longitude - lngDelta, maxLat, longitude + lngDelta];
+}
+
+function wrapLongitude(longitude) {
+  return ((longitude + 540) % 360) - 180;
+}
+
+/**
+ * Check whether a point lies in a bounding box (which may cross the antimeridian)
+ */
+export function isInBoundingBox([latitude, longitude], [minLat, minLng, maxLat, maxLng]) {
+  if (latitude < minLat || latitude > maxLat) {
+    return false;
+  }
+  if (maxLng - minLng >= 360) {
+    return true;
+  }
+  const west = wrapLongitude(minLng);
+  const east = wrapLongitude(maxLng);
+  return west <= east ? longitude >= west && longitude <= east : longitude >= west || longitude <= east;
+}
+
+/**
+ * Geohash ranges `[start, end]` that together cover a bounding box
+ * The precision is the finest at which the box spans at most three cells in each direction.
+ */
+export function geohashRangesForBoundingBox([minLat, minLng, maxLat, maxLng]) {
+  // Split boxes crossing the antimeridian
+  const west = wrapLongitude(minLng);
+  const east = wrapLongitude(maxLng);
+  const boxes = maxLng - minLng >= 360
+    ? [[minLat, -180, maxLat, 180]]
+    : west <= east
+      ? [[minLat, west, maxLat, east]]
+      : [[minLat, west, maxLat, 180], [minLat, -180, maxLat, east]];
+
+  const hashes = new Set();
+  for (const [south, westLng, north, eastLng] of boxes) {
+    let precision = 1;
+    while (precision < GEOHASH_PRECISION) {
+      const cell = getCellSize(precision + 1);
+      if (cell.height * 2 < north - south || cell.width * 2 < eastLng - westLng) {
+        break;
+      }
+      precision += 1;
+    }
+
+    const cell = getCellSize(precision);
+    for (let lat = south; lat < north + cell.height; lat += cell.height) {
+      for (let lng = westLng; lng < eastLng + cell.width; lng += cell.width) {
+        hashes.add(encodeGeohash(Math.min(lat, north), Math.min(lng, eastLng), precision));
+      }
+    }
+  }
+
+  // Drop hashes already covered by a shorter prefix
+  const sorted = [...hashes].sort((a, b) => a.length - b.length || a.localeCompare(b));
+  const prefixes = sorted.filter((hash, index) => !sorted.slice(0, index).some(other => hash.startsWith(other)));
+  return prefixes.map(prefix => [prefix, `${prefix}~`]);
+}
+
+export default encodeGeohash;
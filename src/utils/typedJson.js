@@ -0,0 +1,127 @@
+import { DocumentReference, GeoPoint, Timestamp } from 'firebase-admin/firestore';
+import { getDb } from '../config/firebase.js';
+import { createError } from '../middleware/errorHandler.js';
+import { isDocumentPath } from './firestorePaths.js';
+
+/**
+ * Typed JSON for Firestore values that plain JSON cannot represent
+ *
+ *   { "__type": "timestamp", "value": "2024-05-01T12:00:00.000000000Z" }
+ *   { "__type": "geopoint", "latitude": 52.52, "longitude": 13.405 }
+ *   { "__type": "reference", "path": "users/abc" }
+ *   { "__type": "bytes", "value": "<base64>" }
+ *
+ * Timestamps keep nanosecond precision so values survive a round trip unchanged.
+ */
+
+const ISO_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/;
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function formatTimestamp(timestamp) {
+  const seconds = new Date(timestamp.seconds * 1000).toISOString().slice(0, 19);
+  return `${seconds}.${String(timestamp.nanoseconds).padStart(9, '0')}Z`;
+}
+
+function parseTimestamp(value) {
+  const match = typeof value === 'string' ? ISO_PATTERN.exec(value) : null;
+  if (!match) {
+    return null;
+  }
+
+  const millis = Date.parse(`${match[1]}${match[3]}`);
+  if (Number.isNaN(millis)) {
+    return null;
+  }
+  const nanoseconds = parseInt((match[2] || '').padEnd(9, '0'));
+  return new Timestamp(Math.floor(millis / 1000), nanoseconds);
+}
+
+function invalidTypedValue(message, value) {
+  return createError(`Invalid typed value: ${message}`, 400, 'invalid-typed-value', { value });
+}
+
+/**
+ * Convert Firestore values in document data to typed JSON
+ */
+export function encodeTypedJson(value) {
+  if (value instanceof Timestamp) {
+    return { __type: 'timestamp', value: formatTimestamp(value) };
+  }
+  if (value instanceof Date) {
+    return encodeTypedJson(Timestamp.fromDate(value));
+  }
+  if (value instanceof GeoPoint) {
+    return { __type: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+  }
+  if (value instanceof DocumentReference) {
+    return { __type: 'reference', path: value.path };
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return { __type: 'bytes', value: Buffer.from(value).toString('base64') };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeTypedJson);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, encodeTypedJson(child)]));
+  }
+  return value;
+}
+
+function decodeTypedValue(value) {
+  switch (value.__type) {
+    case 'timestamp': {
+      const timestamp = parseTimestamp(value.value);
+      if (!timestamp) {
+        throw invalidTypedValue('timestamp value must be an ISO 8601 string', value);
+      }
+      return timestamp;
+    }
+    case 'geopoint':
+      if (
+        typeof value.latitude !== 'number' || Math.abs(value.latitude) > 90 ||
+        typeof value.longitude !== 'number' || Math.abs(value.longitude) > 180
+      ) {
+        throw invalidTypedValue('geopoint needs a latitude (-90..90) and longitude (-180..180)', value);
+      }
+      return new GeoPoint(value.latitude, value.longitude);
+    case 'reference':
+      if (!isDocumentPath(value.path)) {
+        throw invalidTypedValue('reference path must be a document path', value);
+      }
+      return getDb().doc(value.path);
+    case 'bytes':
+      if (typeof value.value !== 'string') {
+        throw invalidTypedValue('bytes value must be a base64 string', value);
+      }
+      return Buffer.from(value.value, 'base64');
+    default:
+      throw invalidTypedValue(`unknown __type '${value.__type}'`, value);
+  }
+}
+
+/**
+ * Convert typed JSON in request data to Firestore values
+ * Field operation markers (`__op`) are passed through unchanged.
+ */
+export function decodeTypedJson(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeTypedJson);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  if ('__type' in value) {
+    return decodeTypedValue(value);
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, decodeTypedJson(child)]));
+}
+
+export default { encodeTypedJson, decodeTypedJson };
@@ -0,0 +1,117 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  assertCollectionAccess,
+  assertWritableFields,
+  getPolicyRole,
+  preserveRedactedFields,
+  redactDocumentData,
+  redactForRole,
+  resolvePolicy
+} from '../../src/services/accessPolicy.js';
+
+const viewer = { uid: 'u1', role: 'viewer', authType: 'firebase' };
+const editor = { uid: 'u2', role: 'editor', authType: 'firebase' };
+const owner = { uid: 'u3', role: 'owner', authType: 'firebase' };
+const apiKey = { uid: 'apikey:k1', role: 'owner', authType: 'api-key' };
+
+const user = { name: 'Ada', email: 'ada@example.com', phoneNumber: '+491701234567' };
+
+describe('getPolicyRole', () => {
+  test('uses the role of a signed-in user', () => {
+    expect(getPolicyRole(editor)).toBe('editor');
+  });
+
+  test('falls back to default for API keys and unknown roles', () => {
+    expect(getPolicyRole(apiKey)).toBe('default');
+    expect(getPolicyRole({ role: 'guest' })).toBe('default');
+    expect(getPolicyRole(undefined)).toBe('default');
+  });
+});
+
+describe('resolvePolicy', () => {
+  test('resolves the entry of a role', () => {
+    expect(resolvePolicy('viewer', 'users')).toEqual({ write: false, delete: false, mask: ['email', 'phoneNumber'] });
+  });
+
+  test('applies to nested collections with the same ID', () => {
+    expect(resolvePolicy('viewer', 'conversations/c1/messages')).toEqual(resolvePolicy('viewer', 'messages'));
+  });
+
+  test('never restricts owners or collections without policies', () => {
+    expect(resolvePolicy('owner', 'users')).toBeNull();
+    expect(resolvePolicy('viewer', 'places')).toBeNull();
+  });
+});
+
+describe('assertCollectionAccess', () => {
+  test('allows actions the policy does not deny', () => {
+    expect(() => assertCollectionAccess(editor, 'users', 'write')).not.toThrow();
+    expect(() => assertCollectionAccess(viewer, 'places', 'delete')).not.toThrow();
+  });
+
+  test('rejects denied actions with a 403', () => {
+    expect(() => assertCollectionAccess(apiKey, 'messages', 'read')).toThrow(
+      expect.objectContaining({ statusCode: 403, code: 'collection-access-denied' })
+    );
+  });
+});
+
+describe('redactForRole', () => {
+  test('masks fields, keeping enough to recognise them', () => {
+    expect(redactForRole('viewer', 'users', user)).toEqual({ name: 'Ada', email: 'a***@example.com', phoneNumber: '***4567' });
+  });
+
+  test('removes hidden fields', () => {
+    expect(redactForRole('default', 'users', user)).toEqual({ name: 'Ada' });
+  });
+
+  test('leaves data of unrestricted roles and missing documents alone', () => {
+    expect(redactForRole('admin', 'users', user)).toBe(user);
+    expect(redactForRole('viewer', 'users', null)).toBeNull();
+  });
+
+  test('does not modify the stored data', () => {
+    redactForRole('default', 'users', user);
+
+    expect(user.email).toBe('ada@example.com');
+  });
+});
+
+describe('redactDocumentData', () => {
+  test('redacts for the policy role of the user', () => {
+    expect(redactDocumentData(apiKey, 'users', user)).toEqual({ name: 'Ada' });
+    expect(redactDocumentData(owner, 'users', user)).toBe(user);
+  });
+});
+
+describe('assertWritableFields', () => {
+  const fieldWriteDenied = expect.objectContaining({ statusCode: 403, code: 'field-write-denied' });
+
+  test('allows writing fields the user sees in full', () => {
+    expect(() => assertWritableFields(editor, 'users', { name: 'Ada' })).not.toThrow();
+    expect(() => assertWritableFields(editor, 'users', undefined)).not.toThrow();
+  });
+
+  test('rejects writing redacted fields', () => {
+    expect(() => assertWritableFields(editor, 'users', { email: 'x@example.com' })).toThrow(fieldWriteDenied);
+    expect(() => assertWritableFields(editor, 'users', { email: 'x@example.com' })).toThrow(
+      expect.objectContaining({ details: { collection: 'users', fields: ['email'] } })
+    );
+  });
+
+  test('rejects dot paths inside redacted fields', () => {
+    expect(() => assertWritableFields(editor, 'users', { 'email.primary': 'x' })).toThrow(fieldWriteDenied);
+  });
+});
+
+describe('preserveRedactedFields', () => {
+  test('carries redacted fields over from the stored document', () => {
+    const replacement = { name: 'Ada L.', email: 'a***@example.com' };
+
+    expect(preserveRedactedFields(editor, 'users', replacement, user)).toEqual({ ...user, name: 'Ada L.' });
+  });
+
+  test('drops redacted fields the stored document does not have', () => {
+    expect(preserveRedactedFields(editor, 'users', { name: 'Ada', email: 'x' }, { name: 'Ada' })).toEqual({ name: 'Ada' });
+  });
+});
@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { Timestamp } from 'firebase-admin/firestore';
+
+const keys = new Map();
+const compare = jest.fn(async (rawKey, keyHash) => keyHash === `hash:${rawKey}`);
+
+/**
+ * Just enough of Firestore for looking up and touching key records
+ */
+const db = {
+  collection: () => ({
+    doc: id => ({
+      get: async () => ({ id, exists: keys.has(id), data: () => keys.get(id) }),
+      update: async () => {}
+    })
+  })
+};
+
+jest.unstable_mockModule('../../src/config/firebase.js', () => ({ getDb: () => db }));
+jest.unstable_mockModule('bcryptjs', () => ({ default: { compare } }));
+
+const { assertScopesHeld, parseRawKey, verifyApiKey } = await import('../../src/services/apiKeys.js');
+
+describe('parseRawKey', () => {
+  test('splits a key into its ID and secret', () => {
+    expect(parseRawKey('pak_abc123.s3cret')).toEqual({ keyId: 'abc123', secret: 's3cret' });
+  });
+
+  test.each([
+    ['a non-string', 42],
+    ['a key without the prefix', 'abc123.s3cret'],
+    ['a key without a secret', 'pak_abc123'],
+    ['a key without an ID', 'pak_.s3cret'],
+    ['a key ID with a slash', 'pak_users/abc.s3cret']
+  ])('rejects %s', (_, rawKey) => {
+    expect(parseRawKey(rawKey)).toBeNull();
+  });
+});
+
+describe('assertScopesHeld', () => {
+  test('accepts scopes the caller holds', () => {
+    expect(() => assertScopesHeld(['read'], ['read', 'write'])).not.toThrow();
+  });
+
+  test('lists the scopes the caller does not hold', () => {
+    expect(() => assertScopesHeld(['read', 'admin'], ['read'])).toThrow(
+      expect.objectContaining({ statusCode: 403, code: 'scope-not-allowed', details: { scopes: ['admin'] } })
+    );
+  });
+});
+
+describe('verifyApiKey', () => {
+  // Verified keys are remembered across tests, so each test uses a key of its own
+  let keyCount = 0;
+  let keyId;
+  let rawKey;
+
+  beforeEach(() => {
+    compare.mockClear();
+    keyId = `key${++keyCount}`;
+    rawKey = `pak_${keyId}.s3cret`;
+    keys.set(keyId, { name: 'CI', scopes: ['read'], keyHash: `hash:${rawKey}`, lastUsedAt: Timestamp.now() });
+  });
+
+  test('resolves the identity of a valid key', async () => {
+    await expect(verifyApiKey(rawKey)).resolves.toMatchObject({ uid: `apikey:${keyId}`, apiKeyId: keyId, scopes: ['read'] });
+  });
+
+  test('compares the hash of a key once while it keeps verifying', async () => {
+    await verifyApiKey(rawKey);
+    await verifyApiKey(rawKey);
+
+    expect(compare).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not let a wrong secret through a verified key', async () => {
+    await verifyApiKey(rawKey);
+
+    await expect(verifyApiKey(`pak_${keyId}.guess`)).resolves.toBeNull();
+    expect(compare).toHaveBeenCalledTimes(2);
+  });
+
+  test('compares again once the key is rotated', async () => {
+    await verifyApiKey(rawKey);
+    keys.set(keyId, { ...keys.get(keyId), keyHash: `hash:pak_${keyId}.rotated` });
+
+    await expect(verifyApiKey(rawKey)).resolves.toBeNull();
+    await expect(verifyApiKey(`pak_${keyId}.rotated`)).resolves.toMatchObject({ apiKeyId: keyId });
+  });
+
+  test('rejects a revoked key that verified before', async () => {
+    await verifyApiKey(rawKey);
+    keys.set(keyId, { ...keys.get(keyId), revokedAt: Timestamp.now() });
+
+    await expect(verifyApiKey(rawKey)).resolves.toBeNull();
+  });
+
+  test('rejects a key ID with a slash without looking it up', async () => {
+    await expect(verifyApiKey('pak_users/abc.s3cret')).resolves.toBeNull();
+    expect(compare).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, expect, test } from '@jest/globals';
+import { Filter, Timestamp } from 'firebase-admin/firestore';
+import {
+  getConditionFields,
+  getOrderByFields,
+  parseConditions,
+  parseFields,
+  parseOrderBy
+} from '../../src/services/queryBuilder.js';
+
+const invalidQuery = expect.objectContaining({ statusCode: 400, code: 'invalid-query' });
+
+describe('parseConditions', () => {
+  test('returns null without conditions', () => {
+    expect(parseConditions([])).toBeNull();
+  });
+
+  test('turns a single triple into a field filter', () => {
+    expect(parseConditions([['city', '==', 'Berlin']])).toEqual(Filter.where('city', '==', 'Berlin'));
+  });
+
+  test('ands several conditions together', () => {
+    expect(parseConditions([['city', '==', 'Berlin'], ['rating', '>=', 4]])).toEqual(
+      Filter.and(Filter.where('city', '==', 'Berlin'), Filter.where('rating', '>=', 4))
+    );
+  });
+
+  test('supports nested and / or groups', () => {
+    const conditions = [{ or: [['city', '==', 'Berlin'], { and: [['city', '==', 'Hamburg'], ['open', '==', true]] }] }];
+
+    expect(parseConditions(conditions)).toEqual(Filter.or(
+      Filter.where('city', '==', 'Berlin'),
+      Filter.and(Filter.where('city', '==', 'Hamburg'), Filter.where('open', '==', true))
+    ));
+  });
+
+  test('unwraps groups with a single condition', () => {
+    expect(parseConditions([{ or: [['city', '==', 'Berlin']] }])).toEqual(Filter.where('city', '==', 'Berlin'));
+  });
+
+  test('decodes typed JSON values', () => {
+    const filter = parseConditions([['openedAt', '>', { __type: 'timestamp', value: '2024-01-01T00:00:00.000Z' }]]);
+
+    expect(filter._getValue()).toBeInstanceOf(Timestamp);
+    expect(filter._getValue().toDate().toISOString()).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  test.each([
+    ['a non-array conditions value', { city: 'Berlin' }],
+    ['a triple of the wrong length', [['city', '==']]],
+    ['an empty field', [['', '==', 1]]],
+    ['an unknown operator', [['city', 'like', 'B%']]],
+    ['an empty in list', [['city', 'in', []]]],
+    ['too many not-in values', [['city', 'not-in', Array.from({ length: 11 }, (_, index) => index)]]],
+    ['an array for array-contains', [['tags', 'array-contains', ['a', 'b']]]],
+    ['a range filter on null', [['rating', '>', null]]],
+    ['a group with two keys', [{ and: [['a', '==', 1]], or: [['b', '==', 2]] }]],
+    ['an empty group', [{ or: [] }]]
+  ])('rejects %s', (_, conditions) => {
+    expect(() => parseConditions(conditions)).toThrow(invalidQuery);
+  });
+
+  test('reports where an invalid condition sits', () => {
+    expect(() => parseConditions([['a', '==', 1], { or: [['b', '==', 2], ['c', 'like', 3]] }])).toThrow(
+      expect.objectContaining({ details: expect.objectContaining({ path: 'conditions[1].or[1]' }) })
+    );
+  });
+});
+
+describe('getConditionFields', () => {
+  test('collects fields from triples and nested groups', () => {
+    const conditions = [['city', '==', 'Berlin'], { or: [['rating', '>', 4], { and: [['owner.email', '==', 'a@b.c']] }] }];
+
+    expect(getConditionFields(conditions)).toEqual(['city', 'rating', 'owner.email']);
+  });
+
+  test('ignores malformed input', () => {
+    expect(getConditionFields('city')).toEqual([]);
+    expect(getConditionFields([[1, '==', 2], null, { not: [['a', '==', 1]] }])).toEqual([]);
+  });
+});
+
+describe('getOrderByFields', () => {
+  test('returns the ordered fields without the document ID', () => {
+    expect(getOrderByFields([['rating', 'desc'], ['__name__', 'asc'], 'name'])).toEqual(['rating', 'name']);
+  });
+});
+
+describe('parseOrderBy', () => {
+  test('accepts orderings with and without a direction', () => {
+    const orderBy = [['name'], ['rating', 'desc'], ['__name__', 'asc']];
+
+    expect(parseOrderBy(orderBy)).toBe(orderBy);
+  });
+
+  test.each([
+    ['a non-array', 'name'],
+    ['a bare field name', ['name']],
+    ['an empty ordering', [[]]],
+    ['a non-string field', [[1, 'asc']]],
+    ['an unknown direction', [['name', 'up']]],
+    ['an extra element', [['name', 'asc', 'x']]]
+  ])('rejects %s', (_, orderBy) => {
+    expect(() => parseOrderBy(orderBy)).toThrow(expect.objectContaining({ statusCode: 400, code: 'invalid-order-by' }));
+  });
+});
+
+describe('parseFields', () => {
+  test('accepts arrays and comma-separated strings, without duplicates', () => {
+    expect(parseFields(['name', 'city', 'name'])).toEqual(['name', 'city']);
+    expect(parseFields('name, city')).toEqual(['name', 'city']);
+  });
+
+  test.each([[[]], [''], ['name,,city'], [[1]], [undefined]])('rejects %p', (fields) => {
+    expect(() => parseFields(fields)).toThrow(expect.objectContaining({ statusCode: 400, code: 'invalid-fields' }));
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, expect, test } from '@jest/globals';
+import { GeoPoint } from 'firebase-admin/firestore';
+import { compileJsonSchema, validateDocument } from '../../src/services/schemas.js';
+
+const placeSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    rating: { type: 'number', minimum: 0, maximum: 5 },
+    visits: { type: 'integer' },
+    tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+    location: { type: 'geopoint' },
+    openedAt: { type: 'timestamp' },
+    owner: {
+      type: 'object',
+      properties: { email: { type: 'string', format: 'email' } },
+      required: ['email'],
+      additionalProperties: false
+    }
+  },
+  required: ['name', 'createdAt'],
+  additionalProperties: false
+};
+
+function toEntry(schema) {
+  return { schema, validator: compileJsonSchema(schema) };
+}
+
+const invalidSchema = expect.objectContaining({ statusCode: 400, code: 'invalid-schema' });
+
+describe('compileJsonSchema', () => {
+  test.each([
+    ['a root that is not an object', { type: 'string' }, null],
+    ['an unsupported keyword', { type: 'object', properties: { a: { $ref: '#/definitions/a' } } }, 'a'],
+    ['an unknown type', { type: 'object', properties: { a: { type: 'decimal' } } }, 'a'],
+    ['an invalid pattern', { type: 'object', properties: { a: { type: 'string', pattern: '(' } } }, 'a'],
+    ['an unsupported format', { type: 'object', properties: { a: { type: 'string', format: 'ipv4' } } }, 'a'],
+    ['an invalid array item', { type: 'object', properties: { a: { type: 'array', items: { type: 'x' } } } }, 'a[]'],
+    ['an empty enum', { type: 'object', properties: { a: { enum: [] } } }, 'a']
+  ])('rejects %s', (_, schema, path) => {
+    expect(() => compileJsonSchema(schema)).toThrow(invalidSchema);
+    expect(() => compileJsonSchema(schema)).toThrow(expect.objectContaining({ details: { path } }));
+  });
+
+  test('reports the path of a node shared by several properties where it is invalid', () => {
+    const shared = { type: 'object', properties: { zip: { type: 'string', format: 'ipv4' } } };
+    const valid = { type: 'object', properties: { city: { type: 'string' } } };
+
+    expect(() => compileJsonSchema({ type: 'object', properties: { home: valid, work: shared } })).toThrow(
+      expect.objectContaining({ details: { path: 'work.zip' } })
+    );
+  });
+
+  test('only relaxes required server fields at the root', () => {
+    const address = { type: 'object', properties: { createdAt: { type: 'string' } }, required: ['createdAt'] };
+    const validator = compileJsonSchema({ type: 'object', properties: { address }, required: ['createdAt'] });
+
+    expect(validator.safeParse({ address: { createdAt: 'x' } }).success).toBe(true);
+    expect(validator.safeParse({ address: {} }).success).toBe(false);
+  });
+});
+
+describe('validateDocument', () => {
+  const entry = toEntry(placeSchema);
+
+  test('accepts a valid document with typed values', () => {
+    expect(validateDocument(entry, {
+      name: 'Blue Bottle',
+      rating: 4.5,
+      visits: 3,
+      tags: ['coffee'],
+      location: { __type: 'geopoint', latitude: 52.52, longitude: 13.405 },
+      openedAt: { __type: 'timestamp', value: '2024-05-01T12:00:00.000Z' },
+      owner: { email: 'owner@example.com' }
+    })).toEqual([]);
+  });
+
+  test('reports each invalid field by its path', () => {
+    const errors = validateDocument(entry, {
+      rating: 7,
+      visits: 1.5,
+      tags: ['a', 'a'],
+      location: 'Berlin',
+      owner: { email: 'nope', phone: '123' },
+      extra: true
+    });
+
+    expect(errors.map(error => error.field).sort()).toEqual(
+      ['extra', 'location', 'name', 'owner.email', 'owner.phone', 'rating', 'tags', 'visits'].sort()
+    );
+    expect(errors.find(error => error.field === 'extra').code).toBe('unknown-field');
+  });
+
+  test('resolves field markers before checking a whole document', () => {
+    expect(validateDocument(entry, { name: 'a', visits: { __op: 'increment', by: 1 }, openedAt: { __op: 'serverTimestamp' } })).toEqual([]);
+    expect(validateDocument(entry, { name: 'a', tags: { __op: 'arrayUnion', values: ['x', 'x'] } })).toEqual([]);
+  });
+
+  test('checks only the written fields of an update, by dot path', () => {
+    expect(validateDocument(entry, { rating: 4 }, 'update')).toEqual([]);
+    expect(validateDocument(entry, { 'owner.email': 'nope' }, 'update').map(error => error.field)).toEqual(['owner.email']);
+    expect(validateDocument(entry, { 'owner.phone': '1' }, 'update')).toEqual([
+      expect.objectContaining({ field: 'owner.phone', code: 'unknown-field' })
+    ]);
+  });
+
+  test('checks field operations in updates against the field type', () => {
+    expect(validateDocument(entry, { visits: { __op: 'increment', by: 1 } }, 'update')).toEqual([]);
+    expect(validateDocument(entry, { name: { __op: 'increment', by: 1 } }, 'update')[0].code).toBe('invalid_type');
+    expect(validateDocument(entry, { tags: { __op: 'arrayUnion', values: [1] } }, 'update')[0].field).toBe('tags.0');
+    expect(validateDocument(entry, { name: { __op: 'delete' } }, 'update')[0].code).toBe('required');
+  });
+
+  test('merges maps field by field', () => {
+    expect(validateDocument(entry, { owner: { email: 'a@example.com' } }, 'merge')).toEqual([]);
+    expect(validateDocument(entry, { owner: { phone: '1' } }, 'merge')[0]).toMatchObject({ field: 'owner.phone', code: 'unknown-field' });
+  });
+
+  test('reports errors of a shared node under each path it is used at', () => {
+    const address = { type: 'object', properties: { city: { type: 'string' } } };
+    const shared = toEntry({ type: 'object', properties: { home: address, work: address } });
+
+    expect(validateDocument(shared, { home: { city: 'Berlin' }, work: { city: 1 } }).map(error => error.field)).toEqual(['work.city']);
+    expect(validateDocument(shared, { 'work.city': 1 }, 'update').map(error => error.field)).toEqual(['work.city']);
+    expect(validateDocument(shared, { home: { city: 1 } }, 'merge').map(error => error.field)).toEqual(['home.city']);
+  });
+
+  test('does not treat Firestore values as maps', () => {
+    const loose = toEntry({ type: 'object', properties: { meta: { type: 'object' } } });
+
+    expect(validateDocument(loose, { meta: new GeoPoint(1, 2) })[0].field).toBe('meta');
+  });
+});
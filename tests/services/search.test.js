@@ -0,0 +1,125 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import { getSearchIndexStatus, rebuildSearchIndex, searchCollection, tokenize, updateSearchIndex } from '../../src/services/search.js';
+
+const places = {
+  'places/espresso': { name: 'Espresso Bar', tags: ['coffee'], description: 'Small bar with espresso', category: 'cafe', address: { city: 'Berlin' } },
+  'places/bottle': { name: 'Blue Bottle Coffee', tags: ['coffee', 'roastery'], description: 'Pour-over and <b>beans</b>', category: 'cafe', address: { city: 'Berlin' } },
+  'places/bakery': { name: 'Corner Bakery', tags: ['bread'], description: 'Bread, cakes and coffee to go', category: 'bakery', address: { city: 'Hamburg' } },
+  'places/cafe': { name: 'Café Müller', tags: ['cake'], description: 'Coffeehouse with cakes', category: 'cafe', address: { city: 'Hamburg' } },
+  'cities/berlin/places/kiosk': { name: 'Coffee Kiosk', tags: [], description: '', category: 'kiosk', address: { city: 'Berlin' } }
+};
+
+/**
+ * Just enough of Firestore for the collection group scan that builds an index
+ */
+function createDb(documents) {
+  const docs = Object.entries(documents).map(([path, data]) => ({ ref: { path }, data: () => data }));
+  const query = {
+    select: () => query,
+    limit: () => query,
+    startAfter: () => ({ get: async () => ({ docs: [], size: 0 }) }),
+    get: async () => ({ docs, size: docs.length })
+  };
+  return { collectionGroup: () => query };
+}
+
+const db = createDb(places);
+const search = (query, options = {}) => searchCollection(db, 'places', { query, ...options });
+const paths = result => result.results.map(({ path }) => path);
+
+beforeAll(() => rebuildSearchIndex(db, 'places'));
+
+describe('tokenize', () => {
+  test('splits on non-word characters and ignores case and accents', () => {
+    expect(tokenize('Café Müller, Pour-over 2x')).toEqual(['cafe', 'muller', 'pour', 'over', '2x']);
+  });
+});
+
+describe('searchCollection', () => {
+  test('ranks matches in heavier fields first', async () => {
+    const result = await search('coffee');
+
+    expect(paths(result)[0]).toBe('places/bottle');
+    expect(paths(result)).toContain('places/bakery');
+    expect(paths(result).indexOf('places/bottle')).toBeLessThan(paths(result).indexOf('places/bakery'));
+  });
+
+  test('only searches the requested collection path', async () => {
+    expect(paths(await search('kiosk'))).toEqual([]);
+    expect(paths(await searchCollection(db, 'cities/berlin/places', { query: 'kiosk' }))).toEqual(['cities/berlin/places/kiosk']);
+  });
+
+  test('requires every query word to match', async () => {
+    expect(paths(await search('blue coffee'))).toEqual(['places/bottle']);
+    expect(paths(await search('blue bread'))).toEqual([]);
+  });
+
+  test('matches prefixes, scored below exact words', async () => {
+    const result = await search('coffee');
+    const coffeehouse = result.results.find(({ path }) => path === 'places/cafe');
+    const exact = result.results.find(({ path }) => path === 'places/bakery');
+
+    expect(coffeehouse).toBeDefined();
+    expect(coffeehouse.score).toBeLessThan(exact.score);
+  });
+
+  test('ignores case and accents in the query', async () => {
+    expect(paths(await search('CAFE muller'))).toEqual(['places/cafe']);
+  });
+
+  test('applies filters, including dot path filter fields', async () => {
+    expect(paths(await search('coffee', { filters: { category: 'bakery' } }))).toEqual(['places/bakery']);
+    expect(paths(await search('coffee', { filters: { 'address.city': 'Berlin' } })).sort()).toEqual(['places/bottle', 'places/espresso']);
+  });
+
+  test('pages results and reports the total', async () => {
+    const all = await search('coffee');
+    const page = await search('coffee', { limit: 1, offset: 1 });
+
+    expect(page.total).toBe(all.total);
+    expect(paths(page)).toEqual([paths(all)[1]]);
+  });
+
+  test('highlights matching words in escaped snippets', async () => {
+    const [bottle] = (await search('beans')).results;
+
+    expect(bottle.highlights).toEqual({ description: 'Pour-over and &lt;b&gt;<mark>beans</mark>&lt;/b&gt;' });
+  });
+
+  test('neither matches nor highlights redacted fields', async () => {
+    expect(paths(await search('beans', { redactedFields: ['description'] }))).toEqual([]);
+
+    const [bottle] = (await search('bottle', { redactedFields: ['description'] })).results;
+    expect(Object.keys(bottle.highlights)).toEqual(['name']);
+  });
+
+  test.each([
+    ['a collection without an index', 'events', { query: 'x' }, 'search-not-configured'],
+    ['a filter that is not configured', 'places', { query: 'x', filters: { name: 'x' } }, 'invalid-search-filter'],
+    ['a query without words', 'places', { query: ' ,. ' }, 'invalid-search-query']
+  ])('rejects %s', async (_, collectionPath, options, code) => {
+    await expect(searchCollection(db, collectionPath, options)).rejects.toMatchObject({ statusCode: 400, code });
+  });
+
+  test('picks up writes made after the index was built', async () => {
+    updateSearchIndex('places/tea', { name: 'Tea House', tags: [], description: '', category: 'cafe', address: { city: 'Berlin' } });
+    expect(paths(await search('tea'))).toEqual(['places/tea']);
+
+    updateSearchIndex('places/tea', null);
+    expect(paths(await search('tea'))).toEqual([]);
+  });
+});
+
+describe('getSearchIndexStatus', () => {
+  test('describes every configured index', () => {
+    const status = getSearchIndexStatus();
+
+    expect(status.map(({ collection }) => collection).sort()).toEqual(['places', 'users']);
+    expect(status.find(({ collection }) => collection === 'places')).toMatchObject({
+      fields: { name: 3, tags: 2, description: 1 },
+      documents: Object.keys(places).length,
+      rebuilding: false
+    });
+    expect(status.find(({ collection }) => collection === 'users')).toMatchObject({ documents: null, builtAt: null });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, expect, test } from '@jest/globals';
+import { compileJsonSchema, validateDocument } from '../../src/services/schemas.js';
+import { diffDocuments, getRollbackContent } from '../../src/services/versions.js';
+
+const placeSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    location: { type: 'geopoint' }
+  },
+  required: ['name', 'createdAt'],
+  additionalProperties: false
+};
+
+describe('getRollbackContent', () => {
+  const version = {
+    name: 'Cafe',
+    location: { __type: 'geopoint', latitude: 52.52, longitude: 13.405 },
+    geohash: 'u33dc0cpp',
+    createdAt: { __type: 'timestamp', value: '2024-01-01T00:00:00.000Z' },
+    updatedAt: { __type: 'timestamp', value: '2024-02-01T00:00:00.000Z' }
+  };
+
+  test('leaves out server-stamped timestamps and the derived geohash', () => {
+    expect(getRollbackContent('places', version)).toEqual({ name: 'Cafe', location: version.location });
+  });
+
+  test('passes a strict schema that does not declare the derived fields', () => {
+    const entry = { schema: placeSchema, validator: compileJsonSchema(placeSchema) };
+
+    expect(validateDocument(entry, getRollbackContent('places', version))).toEqual([]);
+  });
+
+  test('keeps a geohash field in collections without a geo index', () => {
+    expect(getRollbackContent('notes', { title: 'a', geohash: 'u33' })).toEqual({ title: 'a', geohash: 'u33' });
+  });
+
+  test('does not modify the version data', () => {
+    getRollbackContent('places', version);
+
+    expect(version.geohash).toBe('u33dc0cpp');
+  });
+});
+
+describe('diffDocuments', () => {
+  test('reports nested map fields as dot paths', () => {
+    expect(diffDocuments({ a: 1, m: { x: 1, y: 2 } }, { m: { x: 1, y: 3 }, b: true })).toEqual([
+      { field: 'a', type: 'removed', from: 1 },
+      { field: 'b', type: 'added', to: true },
+      { field: 'm.y', type: 'changed', from: 2, to: 3 }
+    ]);
+  });
+});
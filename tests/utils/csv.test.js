@@ -0,0 +1,72 @@
+import { describe, expect, test } from '@jest/globals';
+import { flattenDocument, formatCsvRow, formatCsvValue, parseCsv, unguardFormula } from '../../src/utils/csv.js';
+
+describe('flattenDocument', () => {
+  test('turns nested maps into dot path columns and keeps arrays and typed values whole', () => {
+    const openedAt = { __type: 'timestamp', value: '2024-05-01T12:00:00.000000000Z' };
+
+    expect(flattenDocument({ name: 'a', address: { city: 'Berlin', geo: { zip: '10115' } }, tags: ['x'], openedAt, empty: {} })).toEqual({
+      name: 'a',
+      'address.city': 'Berlin',
+      'address.geo.zip': '10115',
+      tags: ['x'],
+      openedAt,
+      empty: {}
+    });
+  });
+});
+
+describe('formatCsvValue', () => {
+  test.each([
+    [null, ''],
+    [undefined, ''],
+    [42, '42'],
+    [true, 'true'],
+    ['plain', 'plain'],
+    ['a,b', '"a,b"'],
+    ['say "hi"', '"say ""hi"""'],
+    ['two\nlines', '"two\nlines"'],
+    [['a', 1], '"[""a"",1]"']
+  ])('formats %p as %p', (value, expected) => {
+    expect(formatCsvValue(value)).toBe(expected);
+  });
+
+  test.each(['=SUM(A1:A2)', '+1', '-1+1', '@cmd', '\tx', '\rx'])('guards the formula %p', (value) => {
+    expect(formatCsvValue(value).replace(/^"/, '')).toMatch(/^'/);
+  });
+
+  test('does not guard numbers', () => {
+    expect(formatCsvValue(-5)).toBe('-5');
+  });
+});
+
+describe('parseCsv', () => {
+  test('parses quoted fields with commas, quotes and line breaks, skipping a BOM and blank lines', () => {
+    const text = '\uFEFFid,note\r\n1,"a, ""b""\nc"\n\n2,plain\n';
+
+    expect([...parseCsv(text)]).toEqual([['id', 'note'], ['1', 'a, "b"\nc'], ['2', 'plain']]);
+  });
+
+  test('keeps empty fields and reads a last line without a line break', () => {
+    expect([...parseCsv('a,,c\n,b,')]).toEqual([['a', '', 'c'], ['', 'b', '']]);
+  });
+
+  test('throws on an unterminated quoted field', () => {
+    expect(() => [...parseCsv('a,"b\n')]).toThrow('Unterminated quoted field');
+  });
+});
+
+describe('formula guard round trip', () => {
+  test.each([
+    '=HYPERLINK("http://evil")',
+    "'=already quoted",
+    "''=twice quoted",
+    "'just a quote",
+    '-negative text',
+    'harmless'
+  ])('reads %p back unchanged', (value) => {
+    const [[cell]] = [...parseCsv(formatCsvRow([value]))];
+
+    expect(unguardFormula(cell)).toBe(value);
+  });
+});
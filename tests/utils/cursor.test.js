@@ -0,0 +1,45 @@
+import { describe, expect, test } from '@jest/globals';
+import { Timestamp } from 'firebase-admin/firestore';
+import { decodeCursor, encodeCursor, getQueryFingerprint } from '../../src/utils/cursor.js';
+
+process.env.CURSOR_SECRET = 'test-cursor-secret';
+
+const fingerprint = getQueryFingerprint({ collection: 'places', orderBy: [{ field: 'name', direction: 'asc' }] });
+
+describe('pagination cursors', () => {
+  test('round-trips the path and typed orderBy values', () => {
+    const values = ['Blue Bottle', Timestamp.fromMillis(1700000000000)];
+    const cursor = encodeCursor({ path: 'places/abc', values, fingerprint });
+
+    const decoded = decodeCursor(cursor, fingerprint);
+    expect(decoded.path).toBe('places/abc');
+    expect(decoded.values[0]).toBe('Blue Bottle');
+    expect(decoded.values[1]).toBeInstanceOf(Timestamp);
+    expect(decoded.values[1].toMillis()).toBe(1700000000000);
+  });
+
+  test('fingerprints depend on the query', () => {
+    expect(getQueryFingerprint({ collection: 'places' })).toBe(getQueryFingerprint({ collection: 'places' }));
+    expect(getQueryFingerprint({ collection: 'places' })).not.toBe(getQueryFingerprint({ collection: 'events' }));
+  });
+
+  test('rejects a cursor whose payload was changed', () => {
+    const cursor = encodeCursor({ path: 'places/abc', values: ['a'], fingerprint });
+    const [, signature] = cursor.split('.');
+    const forged = Buffer.from(JSON.stringify({ p: 'places/xyz', v: ['a'], q: fingerprint })).toString('base64url');
+
+    expect(() => decodeCursor(`${forged}.${signature}`, fingerprint)).toThrow(expect.objectContaining({ statusCode: 400, code: 'invalid-cursor' }));
+  });
+
+  test('rejects malformed cursors', () => {
+    for (const cursor of ['', 'abc', 'a.b.c', undefined]) {
+      expect(() => decodeCursor(cursor, fingerprint)).toThrow(expect.objectContaining({ statusCode: 400, code: 'invalid-cursor' }));
+    }
+  });
+
+  test('rejects a cursor issued for another query', () => {
+    const cursor = encodeCursor({ path: 'places/abc', values: ['a'], fingerprint });
+
+    expect(() => decodeCursor(cursor, getQueryFingerprint({ collection: 'events' }))).toThrow(expect.objectContaining({ statusCode: 400, code: 'cursor-mismatch' }));
+  });
+});
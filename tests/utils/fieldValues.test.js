@@ -0,0 +1,91 @@
+import { describe, expect, test } from '@jest/globals';
+import { FieldValue, GeoPoint, Timestamp } from 'firebase-admin/firestore';
+import { prepareWriteData, resolveFieldValues } from '../../src/utils/fieldValues.js';
+import { encodeGeohash } from '../../src/utils/geohash.js';
+
+const invalidFieldOperation = expect.objectContaining({ statusCode: 400, code: 'invalid-field-operation' });
+
+describe('resolveFieldValues', () => {
+  test('turns markers into FieldValue sentinels', () => {
+    expect(resolveFieldValues({
+      name: 'Blue Bottle',
+      visits: { __op: 'increment', by: 2 },
+      tags: { __op: 'arrayUnion', values: ['coffee'] },
+      flags: { __op: 'arrayRemove', values: ['closed'] },
+      seenAt: { __op: 'serverTimestamp' },
+      'owner.phone': { __op: 'delete' }
+    })).toEqual({
+      name: 'Blue Bottle',
+      visits: FieldValue.increment(2),
+      tags: FieldValue.arrayUnion('coffee'),
+      flags: FieldValue.arrayRemove('closed'),
+      seenAt: FieldValue.serverTimestamp(),
+      'owner.phone': FieldValue.delete()
+    });
+  });
+
+  test('resolves markers inside maps when a document is written whole', () => {
+    expect(resolveFieldValues({ stats: { views: { __op: 'increment', by: 1 }, label: 'x' } }, 'set')).toEqual({
+      stats: { views: FieldValue.increment(1), label: 'x' }
+    });
+  });
+
+  test('requires dot paths for markers inside maps in updates', () => {
+    expect(() => resolveFieldValues({ stats: { views: { __op: 'increment', by: 1 } } }, 'update')).toThrow(
+      expect.objectContaining({ code: 'invalid-field-operation', details: expect.objectContaining({ field: 'stats.views' }) })
+    );
+  });
+
+  test.each([
+    ['an unknown operation', { a: { __op: 'multiply', by: 2 } }, 'update'],
+    ['an increment without a number', { a: { __op: 'increment', by: '2' } }, 'update'],
+    ['an increment by infinity', { a: { __op: 'increment', by: Infinity } }, 'update'],
+    ['an arrayUnion without values', { a: { __op: 'arrayUnion', values: [] } }, 'update'],
+    ['a delete outside partial updates', { a: { __op: 'delete' } }, 'set'],
+    ['a marker inside an array', { a: [{ __op: 'serverTimestamp' }] }, 'set']
+  ])('rejects %s', (_, data, mode) => {
+    expect(() => resolveFieldValues(data, mode)).toThrow(invalidFieldOperation);
+  });
+});
+
+describe('prepareWriteData', () => {
+  test('decodes typed JSON and stamps updatedAt', () => {
+    const data = prepareWriteData({ openedAt: { __type: 'timestamp', value: '2024-05-01T12:00:00.000Z' } });
+
+    expect(data.openedAt).toBeInstanceOf(Timestamp);
+    expect(data.updatedAt).toEqual(FieldValue.serverTimestamp());
+    expect(data).not.toHaveProperty('createdAt');
+  });
+
+  test('stamps createdAt on creates', () => {
+    expect(prepareWriteData({ name: 'a' }, { create: true })).toEqual({
+      name: 'a',
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  });
+
+  test('adds the geohash of geo-indexed collections', () => {
+    const data = prepareWriteData(
+      { location: { __type: 'geopoint', latitude: 52.52, longitude: 13.405 } },
+      { collection: 'places' }
+    );
+
+    expect(data.location).toEqual(new GeoPoint(52.52, 13.405));
+    expect(data.geohash).toBe(encodeGeohash(52.52, 13.405));
+  });
+
+  test('clears the geohash when the location is deleted', () => {
+    const data = prepareWriteData({ location: { __op: 'delete' } }, { mode: 'update', collection: 'places' });
+
+    expect(data.geohash).toEqual(FieldValue.delete());
+  });
+
+  test('leaves the geohash alone in other collections and writes', () => {
+    expect(prepareWriteData({ name: 'a' }, { mode: 'update', collection: 'places' })).not.toHaveProperty('geohash');
+    expect(prepareWriteData(
+      { location: { __type: 'geopoint', latitude: 1, longitude: 2 } },
+      { collection: 'users' }
+    )).not.toHaveProperty('geohash');
+  });
+});
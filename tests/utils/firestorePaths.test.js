@@ -0,0 +1,52 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  getCollectionId,
+  getParentPath,
+  isCollectionPath,
+  isDocumentId,
+  isDocumentPath
+} from '../../src/utils/firestorePaths.js';
+
+describe('isDocumentId', () => {
+  test.each(['abc123', 'user.name', 'a b'])('accepts %s', documentId => {
+    expect(isDocumentId(documentId)).toBe(true);
+  });
+
+  test.each([
+    ['an empty ID', ''],
+    ['an ID with a slash', 'abc/messages/m1'],
+    ['a trailing slash', 'abc/'],
+    ['a dot segment', '..'],
+    ['a non-string', 42]
+  ])('rejects %s', (_, documentId) => {
+    expect(isDocumentId(documentId)).toBe(false);
+  });
+});
+
+describe('isCollectionPath and isDocumentPath', () => {
+  test.each([
+    ['users', true, false],
+    ['users/abc', false, true],
+    ['conversations/abc/messages', true, false],
+    ['conversations/abc/messages/m1', false, true],
+    ['users//abc', false, false],
+    ['users/../admin', false, false]
+  ])('%s', (path, collection, document) => {
+    expect(isCollectionPath(path)).toBe(collection);
+    expect(isDocumentPath(path)).toBe(document);
+  });
+});
+
+describe('getCollectionId', () => {
+  test('takes the last collection segment of a collection or document path', () => {
+    expect(getCollectionId('conversations/abc/messages')).toBe('messages');
+    expect(getCollectionId('conversations/abc/messages/m1')).toBe('messages');
+  });
+});
+
+describe('getParentPath', () => {
+  test('drops the last segment, down to null at the root', () => {
+    expect(getParentPath('conversations/abc/messages')).toBe('conversations/abc');
+    expect(getParentPath('users')).toBeNull();
+  });
+});
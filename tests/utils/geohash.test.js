@@ -0,0 +1,108 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  boundingBoxForRadius,
+  distanceBetween,
+  encodeGeohash,
+  geohashRangesForBoundingBox,
+  isInBoundingBox
+} from '../../src/utils/geohash.js';
+
+const BERLIN = [52.52, 13.405];
+const PARIS = [48.8566, 2.3522];
+
+function isCovered(ranges, [latitude, longitude]) {
+  const hash = encodeGeohash(latitude, longitude);
+  return ranges.some(([start, end]) => hash >= start && hash <= end);
+}
+
+/**
+ * Points on a grid across a bounding box, edges included
+ */
+function gridPoints([minLat, minLng, maxLat, maxLng], steps = 10) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    for (let j = 0; j <= steps; j++) {
+      points.push([minLat + (maxLat - minLat) * i / steps, minLng + (maxLng - minLng) * j / steps]);
+    }
+  }
+  return points;
+}
+
+describe('encodeGeohash', () => {
+  test('matches known geohashes', () => {
+    expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    expect(encodeGeohash(-25.382708, -49.265506, 8)).toBe('6gkzwgjz');
+  });
+
+  test('nearby points share a prefix', () => {
+    expect(encodeGeohash(52.5200, 13.4050).slice(0, 6)).toBe(encodeGeohash(52.5201, 13.4051).slice(0, 6));
+  });
+});
+
+describe('distanceBetween', () => {
+  test('measures great-circle distances in meters', () => {
+    expect(distanceBetween(BERLIN, BERLIN)).toBe(0);
+    expect(distanceBetween(BERLIN, PARIS)).toBeGreaterThan(875000);
+    expect(distanceBetween(BERLIN, PARIS)).toBeLessThan(880000);
+    expect(distanceBetween([0, 179.5], [0, -179.5])).toBeCloseTo(111195, -2);
+  });
+});
+
+describe('boundingBoxForRadius', () => {
+  test('contains the whole circle', () => {
+    const radius = 5000;
+    const box = boundingBoxForRadius(BERLIN, radius);
+
+    for (let bearing = 0; bearing < 360; bearing += 15) {
+      const radians = bearing * Math.PI / 180;
+      const point = [
+        BERLIN[0] + (radius / 111320) * Math.cos(radians),
+        BERLIN[1] + (radius / 111320) * Math.sin(radians) / Math.cos(BERLIN[0] * Math.PI / 180)
+      ];
+      expect(distanceBetween(BERLIN, point)).toBeLessThan(radius * 1.01);
+      expect(isInBoundingBox(point, box)).toBe(true);
+    }
+  });
+
+  test('spans every longitude near a pole', () => {
+    expect(boundingBoxForRadius([89.99, 0], 10000)).toEqual([expect.any(Number), -180, 90, 180]);
+  });
+
+  test('may cross the antimeridian', () => {
+    const box = boundingBoxForRadius([0, 179.99], 10000);
+
+    expect(box[3]).toBeGreaterThan(180);
+    expect(isInBoundingBox([0, -179.99], box)).toBe(true);
+    expect(isInBoundingBox([0, 179.5], box)).toBe(false);
+  });
+});
+
+describe('geohashRangesForBoundingBox', () => {
+  test.each([
+    ['a city-sized box', [52.4, 13.2, 52.6, 13.6]],
+    ['a box around the equator and prime meridian', [-0.5, -0.5, 0.5, 0.5]],
+    ['a country-sized box', [47.3, 5.9, 55.1, 15.0]]
+  ])('covers every point of %s', (_, box) => {
+    const ranges = geohashRangesForBoundingBox(box);
+
+    expect(ranges.length).toBeLessThanOrEqual(16);
+    gridPoints(box).forEach(point => expect(isCovered(ranges, point)).toBe(true));
+  });
+
+  test('covers boxes crossing the antimeridian on both sides', () => {
+    const box = boundingBoxForRadius([10, 179.9], 20000);
+    const ranges = geohashRangesForBoundingBox(box);
+
+    expect(isCovered(ranges, [10, 179.95])).toBe(true);
+    expect(isCovered(ranges, [10, -179.95])).toBe(true);
+    expect(isCovered(ranges, [10, 0])).toBe(false);
+  });
+
+  test('leaves out ranges nested in a shorter prefix', () => {
+    const prefixes = geohashRangesForBoundingBox([47.3, 5.9, 55.1, 15.0]).map(([start]) => start);
+
+    prefixes.forEach(prefix => {
+      expect(prefixes.filter(other => other !== prefix && prefix.startsWith(other))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { DocumentReference, Firestore, GeoPoint, Timestamp } from 'firebase-admin/firestore';
+
+const db = new Firestore({ projectId: 'test-project' });
+jest.unstable_mockModule('../../src/config/firebase.js', () => ({ getDb: () => db }));
+
+const { decodeTypedJson, encodeTypedJson } = await import('../../src/utils/typedJson.js');
+
+const invalidTypedValue = expect.objectContaining({ statusCode: 400, code: 'invalid-typed-value' });
+
+describe('typed JSON', () => {
+  test('round-trips every Firestore type, nested in maps and arrays', () => {
+    const data = {
+      name: 'Blue Bottle',
+      openedAt: new Timestamp(1714564800, 123456789),
+      location: new GeoPoint(52.52, 13.405),
+      owner: db.doc('users/abc'),
+      avatar: Buffer.from('hello'),
+      history: [{ at: new Timestamp(1700000000, 0), tags: ['a', null, 3] }],
+      nothing: null
+    };
+
+    const encoded = encodeTypedJson(data);
+    expect(encoded).toEqual({
+      name: 'Blue Bottle',
+      openedAt: { __type: 'timestamp', value: '2024-05-01T12:00:00.123456789Z' },
+      location: { __type: 'geopoint', latitude: 52.52, longitude: 13.405 },
+      owner: { __type: 'reference', path: 'users/abc' },
+      avatar: { __type: 'bytes', value: 'aGVsbG8=' },
+      history: [{ at: { __type: 'timestamp', value: '2023-11-14T22:13:20.000000000Z' }, tags: ['a', null, 3] }],
+      nothing: null
+    });
+
+    const decoded = decodeTypedJson(JSON.parse(JSON.stringify(encoded)));
+    expect(decoded.openedAt.isEqual(data.openedAt)).toBe(true);
+    expect(decoded.location.isEqual(data.location)).toBe(true);
+    expect(decoded.owner).toBeInstanceOf(DocumentReference);
+    expect(decoded.owner.path).toBe('users/abc');
+    expect(decoded.avatar.equals(data.avatar)).toBe(true);
+    expect(decoded.history[0].at.isEqual(data.history[0].at)).toBe(true);
+    expect(encodeTypedJson(decoded)).toEqual(encoded);
+  });
+
+  test('encodes dates as timestamps', () => {
+    expect(encodeTypedJson(new Date('2024-05-01T12:00:00.000Z'))).toEqual({
+      __type: 'timestamp',
+      value: '2024-05-01T12:00:00.000000000Z'
+    });
+  });
+
+  test('accepts timestamps with an offset and fewer fraction digits', () => {
+    const timestamp = decodeTypedJson({ __type: 'timestamp', value: '2024-05-01T14:00:00.5+02:00' });
+
+    expect(timestamp.seconds).toBe(1714564800);
+    expect(timestamp.nanoseconds).toBe(500000000);
+  });
+
+  test('passes field operation markers through', () => {
+    const marker = { __op: 'increment', by: 1 };
+
+    expect(decodeTypedJson({ visits: marker })).toEqual({ visits: marker });
+  });
+
+  test.each([
+    ['a timestamp that is not ISO 8601', { __type: 'timestamp', value: 'yesterday' }],
+    ['a latitude out of range', { __type: 'geopoint', latitude: 91, longitude: 0 }],
+    ['a reference to a collection', { __type: 'reference', path: 'users' }],
+    ['bytes that are not a string', { __type: 'bytes', value: 42 }],
+    ['an unknown type', { __type: 'decimal', value: '1.5' }]
+  ])('rejects %s', (_, value) => {
+    expect(() => decodeTypedJson({ field: value })).toThrow(invalidTypedValue);
+  });
+});